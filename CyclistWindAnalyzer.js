@@ -1,7 +1,35 @@
-class CyclistWindAnalyzer {
+import WindAnalysisCore from './WindAnalysisCore.js';
+import SegmentLibrary from './SegmentLibrary.js';
+import RideLibrary from './RideLibrary.js';
+import { renderRouteSVG, buildReportHTML, renderReportPNG } from './reportBuilder.js';
+
+// Browser front-end: renders the map, charts and stats for the data produced
+// by the DOM-free WindAnalysisCore pipeline it extends.
+class CyclistWindAnalyzer extends WindAnalysisCore {
     constructor() {
+        super();
+
         this.gpxData = [];
         this.windData = [];
+        this.stops = [];
+        this.tracks = []; // tracks of a multi-track GPX file (see listGPXTracks)
+        this.trackSource = null; // its text, re-parsed when another track is picked
+        this.selectedTrackIndex = null; // null analyzes all tracks
+        this.recommendation = null; // last recommendStartTimes result for the planned route
+        this.routeReversed = false; // planned route is ridden against its file order
+        this.rideName = null; // file name of the loaded ride
+        this.sharedView = false; // opened from a share link
+        this.thinnedRide = false; // points are a thinned copy (share link or history), so efforts are not recorded
+        this.fullStats = null; // stats of the full-resolution ride a thinned copy came from
+        this.optionsBeforeShare = null; // the viewer's own options, restored by closeSharedView
+        this.comparisonRides = []; // other rides of the same route as [{ name, points, stats }]
+        this.segmentLibrary = new SegmentLibrary();
+        this.segments = []; // every stored segment
+        this.segmentEfforts = new Map(); // segment id → efforts on the loaded ride
+        this.selectedSegmentId = null;
+        this.segmentRanking = "adjustedSeconds";
+        this.rideLibrary = new RideLibrary();
+        this.historyMetric = "avgWindFaced";
         this.map = null;
         this.routeMarkers = [];
         this.currentHoverMarker = null;
@@ -10,12 +38,23 @@ class CyclistWindAnalyzer {
             scatter: null,
             speed: null,
             elevation: null,
-            wind: null
+            wind: null,
+            crosswind: null,
+            weather: null,
+            riderMetrics: null,
+            powerWind: null,
+            recommendation: null,
+            compareSpeed: null,
+            compareWind: null,
+            history: null
         };
         this.chartData = {
             speed: null,
             elevation: null,
-            wind: null
+            wind: null,
+            crosswind: null,
+            weather: null,
+            riderMetrics: null
         };
         this.isSyncing = false;
         this.mapUpdateTimeout = null;
@@ -26,16 +65,30 @@ class CyclistWindAnalyzer {
         // Performance optimization: Throttle map updates for better responsiveness
         this.throttledMapUpdate = this.throttle(this.updateMapHighlight.bind(this), 8);
 
-        // Constants for better maintainability
-        this.CONSTANTS = {
-            MAX_REALISTIC_SPEED: 100, // km/h
-            MIN_MOVEMENT_THRESHOLD: 1, // meters
-            WIND_FETCH_INTERVAL: 30 * 60 * 1000, // 30 minutes
-            API_DELAY: 200, // ms between API calls
+        // Kept so the cache can be inspected/cleared even if the provider is swapped
+        this.weatherCache = this.weatherProvider.cache || null;
+
+        // Rendering constants on top of the analysis constants from the core
+        Object.assign(this.CONSTANTS, {
             MAP_HEIGHT: 400,
-            CHART_HEIGHT: 180,
-            DEFAULT_WIND_SPEED: 10,
-            DEFAULT_WIND_DIRECTION: 180
+            CHART_HEIGHT: 180
+        });
+
+        // Series selectable in the weather conditions chart
+        this.WEATHER_SERIES = {
+            temperature: { label: "Temperature (°C)", unit: "°C", color: "#dc2626", digits: 1 },
+            wind_gusts: { label: "Wind Gusts (km/h)", unit: " km/h", color: "#475569", digits: 1 },
+            humidity: { label: "Humidity (%)", unit: "%", color: "#0891b2", digits: 0 },
+            precipitation: { label: "Precipitation (mm/h)", unit: " mm/h", color: "#2563eb", digits: 1 },
+            pressure: { label: "Pressure (hPa)", unit: " hPa", color: "#7c3aed", digits: 0 }
+        };
+
+        // Recorded sensor series selectable in the rider metrics chart
+        this.RIDER_METRIC_SERIES = {
+            measured_power_w: { label: "Power (W)", unit: " W", color: "#d97706", digits: 0 },
+            heart_rate: { label: "Heart Rate (bpm)", unit: " bpm", color: "#e11d48", digits: 0 },
+            cadence: { label: "Cadence (rpm)", unit: " rpm", color: "#059669", digits: 0 },
+            device_temperature: { label: "Device Temperature (°C)", unit: "°C", color: "#dc2626", digits: 1 }
         };
     }
 
@@ -69,360 +122,98 @@ class CyclistWindAnalyzer {
         };
     }
 
-    async readGPXFile(file) {
+    // Track format of a File (see detectTrackFormat), or null
+    async detectFileFormat(file) {
+        const head = new Uint8Array(await file.slice(0, 4096).arrayBuffer());
+        return this.detectTrackFormat(file.name, head);
+    }
+
+    // Reads a GPX, FIT, TCX or GeoJSON track into gpxData
+    async readTrackFile(file, format = null) {
         if (!file) {
             throw new Error("No file provided");
         }
 
-        const text = await file.text();
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(text, "text/xml");
-
-        // Check for parsing errors
-        const parserError = xmlDoc.querySelector("parsererror");
-        if (parserError) {
-            throw new Error("Invalid GPX file format");
-        }
-
-        const points = this.extractGPXPoints(xmlDoc);
-
-        if (points.length === 0) {
-            throw new Error("No valid GPS points with coordinates found in file");
+        format = format || await this.detectFileFormat(file);
+        if (!format) {
+            throw new Error("Unrecognised track file format");
         }
 
-        // Validate timestamps
-        this.validateTimestamps(points);
+        const data = format === "fit" ? await file.arrayBuffer() : await file.text();
+        this.gpxData = this.parseTrack(data, format);
 
-        // Sort by time and store
-        this.gpxData = points.sort((a, b) => a.time - b.time);
+        this.resetRideState(file.name);
+        this.trackSource = format === "gpx" ? data : null;
+        this.tracks = format === "gpx" ? this.listGPXTracks(data) : [];
 
-        console.log(`Time range: ${this.gpxData[0].time.toISOString()} to ${this.gpxData[this.gpxData.length - 1].time.toISOString()}`);
-
-        this.calculateSpeedAndBearing();
-
-        console.log(`Successfully loaded ${this.gpxData.length} GPS points from GPX file`);
         return this.gpxData.length > 0;
     }
 
-    extractGPXPoints(xmlDoc) {
-        const points = [];
-
-        // Try different GPX structures in order of preference
-        const pointSelectors = ["trkpt", "rtept", "wpt"];
-        let trackPoints = [];
-
-        for (const selector of pointSelectors) {
-            trackPoints = xmlDoc.querySelectorAll(selector);
-            console.log(`Found ${trackPoints.length} ${selector} points`);
-            if (trackPoints.length > 0) break;
-        }
-
-        if (trackPoints.length === 0) {
-            throw new Error("No GPS points found in GPX file. Please ensure your file contains track points, route points, or waypoints.");
-        }
-
-        for (const point of trackPoints) {
-            const lat = parseFloat(point.getAttribute("lat"));
-            const lon = parseFloat(point.getAttribute("lon"));
-
-            // Validate coordinates
-            if (!this.isValidCoordinate(lat, lon)) {
-                console.warn("Skipping point with invalid coordinates:", { lat, lon });
-                continue;
-            }
-
-            const elevation = this.extractElevation(point);
-            const time = this.extractTimestamp(point, points.length);
-
-            points.push({ lat, lon, elevation, time });
-        }
-
-        return points;
+    // Forget everything tied to the previously loaded ride
+    resetRideState(name) {
+        this.rideName = name;
+        this.trackSource = null;
+        this.tracks = [];
+        this.selectedTrackIndex = null;
+        this.recommendation = null;
+        this.routeReversed = false;
+        this.comparisonRides = [];
+        this.selectedSegmentId = null;
+        this.closeSharedView();
+        this.thinnedRide = false;
+        this.fullStats = null;
     }
 
-    isValidCoordinate(lat, lon) {
-        return lat && lon &&
-            !isNaN(lat) && !isNaN(lon) &&
-            lat >= -90 && lat <= 90 &&
-            lon >= -180 && lon <= 180;
-    }
+    // Leave a shared analysis, giving back the options its link replaced
+    closeSharedView() {
+        if (!this.sharedView) return;
 
-    extractElevation(point) {
-        const eleElement = point.querySelector("ele");
-        if (eleElement?.textContent) {
-            const eleValue = parseFloat(eleElement.textContent);
-            return !isNaN(eleValue) ? eleValue : 0;
-        }
-        return 0;
+        this.setOptions(this.optionsBeforeShare);
+        this.sharedView = false;
+        this.optionsBeforeShare = null;
     }
 
-    extractTimestamp(point, pointIndex) {
-        const timeElement = point.querySelector("time");
-        if (!timeElement?.textContent) {
-            return null;
-        }
-
-        try {
-            const timeString = timeElement.textContent.trim();
-            //console.log(`Processing timestamp: "${timeString}"`);
-
-            let time = new Date(timeString);
-
-            // Handle invalid timestamps with fallback parsing
-            if (isNaN(time.getTime())) {
-                time = this.parseAlternativeTimeFormats(timeString);
-            }
-
-            return isNaN(time.getTime()) ? null : time;
-        } catch (error) {
-            console.warn(`Error parsing time for point ${pointIndex}:`, error);
-            return null;
-        }
+    // Summary stats of the loaded ride; a thinned copy keeps those of the
+    // full-resolution ride it came from
+    getRouteStatistics() {
+        return this.fullStats || this.calculateRouteStatistics(this.gpxData);
     }
 
-    parseAlternativeTimeFormats(timeString) {
-        // Try ISO format variations
-        if (timeString.includes("T") && !timeString.includes("Z") && !timeString.includes("+")) {
-            return new Date(timeString + "Z");
-        }
+    // Track picker above the results, shown for GPX files with several <trk>
+    renderTrackPicker() {
+        const area = document.getElementById("trackPickerArea");
+        const select = document.getElementById("trackPicker");
+        if (!area || !select) return;
 
-        // Try space-separated format
-        if (timeString.match(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/)) {
-            return new Date(timeString.replace(" ", "T") + "Z");
-        }
+        area.classList.toggle("hidden", this.tracks.length < 2);
+        if (this.tracks.length < 2) return;
 
-        return new Date(NaN); // Invalid date
-    }
+        const describe = (track) => {
+            const start = track.startTime ? ` · ${track.startTime.toLocaleString()}` : "";
+            const segments = track.segmentCount > 1 ? ` · ${track.segmentCount} segments` : "";
+            return `${track.name}${start}${segments}`;
+        };
 
-    validateTimestamps(points) {
-        const hasValidTimes = points.some(p =>
-            p.time !== null &&
-            !isNaN(p.time.getTime()) &&
-            p.time.getFullYear() > 2000
+        // Track names come from the file, so options are built as text
+        select.replaceChildren(
+            new Option(`All tracks (${this.tracks.length})`, ""),
+            ...this.tracks.map(track => new Option(describe(track), String(track.index)))
         );
+        select.value = this.selectedTrackIndex === null ? "" : String(this.selectedTrackIndex);
 
-        console.log(`Valid timestamps found: ${hasValidTimes}`);
-        console.log(`Points with timestamps: ${points.filter(p => p.time !== null).length}/${points.length}`);
-
-        if (!hasValidTimes) {
-            throw new Error(`This GPX file does not contain valid timestamps.
-
-Wind analysis requires GPS tracks with accurate time data to:
-• Fetch historical weather data for the correct date/time
-• Calculate cycling speeds and performance metrics  
-• Provide meaningful wind impact analysis
-
-Please use a GPX file that includes timestamp information for each GPS point. Most modern GPS devices and cycling computers (Garmin, Wahoo, etc.) automatically include this data.
-
-If you recorded this track without timestamps, you may need to re-record your route or use a different GPX file.`);
-        }
-    }
-
-    calculateSpeedAndBearing() {
-        let cumulativeDistance = 0;
-        console.log("Starting speed and bearing calculations...");
-
-        for (let i = 0; i < this.gpxData.length; i++) {
-            if (i === 0) {
-                // Initialize first point
-                Object.assign(this.gpxData[i], {
-                    speed_kmh: 0,
-                    bearing: 0,
-                    distance_km: 0
-                });
-                continue;
-            }
-
-            const prev = this.gpxData[i - 1];
-            const curr = this.gpxData[i];
-
-            this.calculatePointMetrics(prev, curr, i, cumulativeDistance);
-            cumulativeDistance = curr.distance_km * 1000; // Convert back to meters for next iteration
-        }
-
-        this.logSpeedStatistics();
-    }
-
-    calculatePointMetrics(prev, curr, index, cumulativeDistance) {
-        // Calculate distance
-        const distance = this.haversineDistance(prev.lat, prev.lon, curr.lat, curr.lon);
-
-        // Update cumulative distance
-        cumulativeDistance += distance;
-        curr.distance_km = cumulativeDistance / 1000;
-
-        // Calculate time difference
-        const timeDiff = (curr.time - prev.time) / 1000; // seconds
-
-        // Calculate speed
-        curr.speed_kmh = this.calculateSpeed(distance, timeDiff, prev.speed_kmh);
-
-        // Calculate bearing
-        curr.bearing = this.calculatePointBearing(prev, curr, distance);
-    }
-
-    calculateSpeed(distance, timeDiff, prevSpeed = 0) {
-        if (timeDiff <= 0) {
-            console.warn(`Invalid time difference: ${timeDiff}s`);
-            return prevSpeed;
-        }
-
-        if (distance <= 0) {
-            return 0; // No movement
-        }
-
-        const speedMs = distance / timeDiff;
-        let speedKmh = speedMs * 3.6;
-
-        // Cap unrealistic speeds
-        if (speedKmh > this.CONSTANTS.MAX_REALISTIC_SPEED) {
-            console.warn(`Unrealistic speed detected: ${speedKmh.toFixed(1)} km/h, using previous speed`);
-            speedKmh = prevSpeed || 20; // Default to reasonable cycling speed
-        }
-
-        // Handle very low speeds that might indicate GPS errors
-        if (speedKmh < 0.1 && distance > 5) {
-            console.warn(`Very low speed detected: ${speedKmh.toFixed(1)} km/h for ${distance.toFixed(1)}m movement`);
-        }
-
-        return speedKmh;
-    }
-
-    calculatePointBearing(prev, curr, distance) {
-        // Only calculate bearing for significant movements
-        if (distance > this.CONSTANTS.MIN_MOVEMENT_THRESHOLD) {
-            return this.calculateBearing(prev.lat, prev.lon, curr.lat, curr.lon);
-        }
-        return prev.bearing || 0;
-    }
-
-    logSpeedStatistics() {
-        const speeds = this.gpxData.map(p => p.speed_kmh).filter(s => s > 0);
-        const totalDistance = this.gpxData[this.gpxData.length - 1]?.distance_km || 0;
-
-        const stats = {
-            avgSpeed: speeds.length > 0 ? speeds.reduce((a, b) => a + b, 0) / speeds.length : 0,
-            maxSpeed: speeds.length > 0 ? Math.max(...speeds) : 0,
-            zeroSpeedPoints: this.gpxData.filter(p => p.speed_kmh === 0).length
+        select.onchange = () => {
+            this.selectTrack(select.value === "" ? null : Number(select.value));
         };
-
-        console.log(`Calculated speeds and bearings for ${this.gpxData.length} points`);
-        console.log(`Total distance: ${totalDistance.toFixed(2)} km`);
-        console.log(`Average speed: ${stats.avgSpeed.toFixed(1)} km/h`);
-        console.log(`Max speed: ${stats.maxSpeed.toFixed(1)} km/h`);
-        console.log(`Points with zero speed: ${stats.zeroSpeedPoints}`);
-    }
-
-    haversineDistance(lat1, lon1, lat2, lon2) {
-        const R = 6371000; // Earth's radius in meters
-        const dLat = this.toRadians(lat2 - lat1);
-        const dLon = this.toRadians(lon2 - lon1);
-
-        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-            Math.cos(this.toRadians(lat1)) * Math.cos(this.toRadians(lat2)) *
-            Math.sin(dLon / 2) * Math.sin(dLon / 2);
-
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        return R * c;
-    }
-
-    calculateBearing(lat1, lon1, lat2, lon2) {
-        const dLon = this.toRadians(lon2 - lon1);
-        const lat1Rad = this.toRadians(lat1);
-        const lat2Rad = this.toRadians(lat2);
-
-        const y = Math.sin(dLon) * Math.cos(lat2Rad);
-        const x = Math.cos(lat1Rad) * Math.sin(lat2Rad) -
-            Math.sin(lat1Rad) * Math.cos(lat2Rad) * Math.cos(dLon);
-
-        let bearing = this.toDegrees(Math.atan2(y, x));
-        return (bearing + 360) % 360;
-    }
-
-    toRadians(degrees) {
-        return degrees * (Math.PI / 180);
-    }
-
-    toDegrees(radians) {
-        return radians * (180 / Math.PI);
-    }
-
-    async getWindDataEvery30Min() {
-        const startTime = this.gpxData[0].time;
-        const endTime = this.gpxData[this.gpxData.length - 1].time;
-        const interval = this.CONSTANTS.WIND_FETCH_INTERVAL;
-
-        // Wait a bit for the loading screen to be visible before resetting progress
-        await this.delay(100);
-
-        // Reset progress bar
-        this.updateProgress(0, 1);
-
-        let currentTime = new Date(startTime);
-        this.windData = [];
-
-        const totalSteps = Math.ceil((endTime - startTime) / interval);
-        let currentStep = 0;
-
-        console.log(`Starting wind data fetch for ${totalSteps} time points`);
-
-        while (currentTime <= endTime) {
-            const closestPoint = this.findClosestGPXPoint(currentTime);
-
-            try {
-                const windInfo = await this.getHistoricalWeatherOpenMeteo(
-                    closestPoint.lat,
-                    closestPoint.lon,
-                    currentTime
-                );
-
-                this.windData.push({
-                    ...windInfo,
-                    time: new Date(currentTime),
-                    lat: closestPoint.lat,
-                    lon: closestPoint.lon
-                });
-
-                await this.delay(this.CONSTANTS.API_DELAY);
-
-            } catch (error) {
-                console.warn(`Error getting wind data for ${currentTime}:`, error);
-                this.windData.push(this.createDefaultWindData(currentTime, closestPoint));
-            }
-
-            // Update progress after each step, regardless of success or failure
-            this.updateProgress(++currentStep, totalSteps);
-            currentTime = new Date(currentTime.getTime() + interval);
-        }
-
-        // Ensure progress bar shows 100% completion
-        this.updateProgress(totalSteps, totalSteps);
-        console.log(`Retrieved wind data for ${this.windData.length} time points`);
     }
 
-    findClosestGPXPoint(targetTime) {
-        let closestPoint = this.gpxData[0];
-        let minTimeDiff = Math.abs(targetTime - closestPoint.time);
-
-        for (const point of this.gpxData) {
-            const timeDiff = Math.abs(targetTime - point.time);
-            if (timeDiff < minTimeDiff) {
-                minTimeDiff = timeDiff;
-                closestPoint = point;
-            }
-        }
-
-        return closestPoint;
-    }
+    async selectTrack(trackIndex) {
+        if (!this.trackSource) return;
 
-    createDefaultWindData(time, point) {
-        return {
-            time: new Date(time),
-            lat: point.lat,
-            lon: point.lon,
-            wind_speed: this.CONSTANTS.DEFAULT_WIND_SPEED,
-            wind_direction: this.CONSTANTS.DEFAULT_WIND_DIRECTION
-        };
+        this.selectedTrackIndex = trackIndex;
+        this.gpxData = this.parseGPX(this.trackSource, { trackIndex });
+        this.recommendation = null;
+        this.routeReversed = false;
+        await this.analyze();
     }
 
     updateProgress(currentStep, totalSteps) {
@@ -436,175 +227,16 @@ If you recorded this track without timestamps, you may need to re-record your ro
         }
     }
 
-    async getHistoricalWeatherOpenMeteo(lat, lon, timestamp) {
-        const dateStr = timestamp.toISOString().split("T")[0];
-        const url = `https://archive-api.open-meteo.com/v1/archive?latitude=${lat}&longitude=${lon}&start_date=${dateStr}&end_date=${dateStr}&hourly=wind_speed_10m,wind_direction_10m&wind_speed_unit=ms&timezone=UTC`;
-
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-
-        const data = await response.json();
-        return this.parseWeatherData(data, timestamp);
-    }
-
-    parseWeatherData(data, timestamp) {
-        if (!data.hourly?.time?.length) {
-            throw new Error("No hourly data available");
-        }
-
-        // Find closest hour
-        let closestIdx = 0;
-        let minDiff = Infinity;
-
-        for (let i = 0; i < data.hourly.time.length; i++) {
-            const apiTime = new Date(data.hourly.time[i]);
-            const diff = Math.abs(apiTime - timestamp);
-            if (diff < minDiff) {
-                minDiff = diff;
-                closestIdx = i;
-            }
-        }
-
-        const windSpeed10m = (data.hourly.wind_speed_10m[closestIdx] || 0) * 3.6; // Convert to km/h
-        const windDirection = data.hourly.wind_direction_10m[closestIdx] || 0;
-      
-        //Ianto Cannon Jul 26: calculate the wind speed 1.5m above the ground, assuming a roughness length of 0.1m
-        const windSpeed = windSpeed10m * (Math.log(1.5 / 0.1) / Math.log(10 / 0.1));
-
-        return { wind_speed: windSpeed, wind_direction: windDirection };
-    }
-
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
-    interpolateWindAlongRoute() {
-        // Improved interpolation with boundary handling
-        for (const gpxPoint of this.gpxData) {
-            const windData = this.interpolateWindForPoint(gpxPoint);
-            Object.assign(gpxPoint, windData);
-        }
-
-        this.calculateRelativeWind();
-    }
-
-    interpolateWindForPoint(gpxPoint) {
-        // Handle edge cases first
-        if (this.windData.length === 0) {
-            return {
-                wind_speed: this.CONSTANTS.DEFAULT_WIND_SPEED,
-                wind_direction: this.CONSTANTS.DEFAULT_WIND_DIRECTION
-            };
-        }
-
-        if (this.windData.length === 1) {
-            return {
-                wind_speed: this.windData[0].wind_speed,
-                wind_direction: this.windData[0].wind_direction
-            };
-        }
-
-        // Find surrounding wind data points
-        const { before, after } = this.findSurroundingWindData(gpxPoint.time);
-
-        if (before && after) {
-            return this.interpolateBetweenWindPoints(before, after, gpxPoint.time);
-        }
-
-        // Use closest available data
-        const closest = before || after || this.windData[0];
-        return {
-            wind_speed: closest.wind_speed,
-            wind_direction: closest.wind_direction
-        };
-    }
-
-    findSurroundingWindData(targetTime) {
-        let before = null;
-        let after = null;
-
-        for (let i = 0; i < this.windData.length - 1; i++) {
-            if (this.windData[i].time <= targetTime && this.windData[i + 1].time >= targetTime) {
-                before = this.windData[i];
-                after = this.windData[i + 1];
-                break;
-            }
-        }
-
-        return { before, after };
-    }
-
-    interpolateBetweenWindPoints(before, after, targetTime) {
-        const totalTime = after.time - before.time;
-        const pointTime = targetTime - before.time;
-        const ratio = totalTime > 0 ? pointTime / totalTime : 0;
-
-        return {
-            wind_speed: before.wind_speed + (after.wind_speed - before.wind_speed) * ratio,
-            wind_direction: before.wind_direction + (after.wind_direction - before.wind_direction) * ratio
-        };
-    }
-
-    calculateRelativeWind() {
-        for (const point of this.gpxData) {
-            const windFromDeg = point.wind_direction;
-            const cyclistDirection = point.bearing;
-
-            // Calculate relative angle
-            const relativeAngle = ((windFromDeg - cyclistDirection + 180) % 360) - 180;
-
-            // Calculate wind component in cyclist's direction
-            const windComponent = point.wind_speed * Math.cos(this.toRadians(relativeAngle));
-            point.wind_faced = windComponent;
-        }
-
-        console.log("Calculated relative wind for all points");
-    }
-
-    createBinnedData(xData, yData, binCount = 20) {
-        const minX = Math.min(...xData);
-        const maxX = Math.max(...xData);
-        const binWidth = (maxX - minX) / binCount;
-
-        const bins = [];
-        for (let i = 0; i < binCount; i++) {
-            const binStart = minX + i * binWidth;
-            const binEnd = binStart + binWidth;
-            const binData = [];
-
-            for (let j = 0; j < xData.length; j++) {
-                if (xData[j] >= binStart && xData[j] < binEnd) {
-                    binData.push(yData[j]);
-                }
-            }
-
-            if (binData.length > 0) {
-                const mean = binData.reduce((a, b) => a + b, 0) / binData.length;
-                const std = Math.sqrt(
-                    binData.reduce((sq, n) => sq + Math.pow(n - mean, 2), 0) / binData.length
-                );
-                const sem = std / Math.sqrt(binData.length);
-
-                bins.push({
-                    x: binStart + binWidth / 2,
-                    y: mean,
-                    error: sem,
-                    count: binData.length
-                });
-            }
-        }
-
-        return bins;
-    }
-
     createCharts() {
         // Small delay to ensure containers are properly sized
         setTimeout(() => {
             this.createSpeedChart(this.currentXAxis);
             this.createElevationChart(this.currentXAxis);
             this.createWindChart(this.currentXAxis);
+            this.createCrosswindChart(this.currentXAxis);
+            this.createWeatherChart(this.currentXAxis);
+            this.createRiderMetricsChart(this.currentXAxis);
+            this.createPowerWindChart();
             this.setupChartToggles();
         }, 100);
     }
@@ -619,7 +251,8 @@ If you recorded this track without timestamps, you may need to re-record your ro
         const data = this.gpxData.map((p, i) => ({
             x: xAxis === "time" ? p.time : p.distance_km,
             y: p.speed_kmh,
-            dataIndex: i
+            dataIndex: i,
+            segment: p.segment_index ?? 0
         }));
 
         this.chartData.speed = data;
@@ -653,6 +286,7 @@ If you recorded this track without timestamps, you may need to re-record your ro
                 Plot.line(data, {
                     x: "x",
                     y: "y",
+                    z: "segment",
                     stroke: "#1976d2",
                     strokeWidth: 3,
                     curve: "step-before"
@@ -700,7 +334,9 @@ If you recorded this track without timestamps, you may need to re-record your ro
         const data = this.gpxData.map((p, i) => ({
             x: xAxis === "time" ? p.time : p.distance_km,
             y: p.elevation,
-            dataIndex: i
+            grade: p.grade_pct ?? 0,
+            dataIndex: i,
+            segment: p.segment_index ?? 0
         }));
 
         this.chartData.elevation = data;
@@ -738,6 +374,7 @@ If you recorded this track without timestamps, you may need to re-record your ro
                 Plot.line(data, {
                     x: "x",
                     y: "y",
+                    z: "segment",
                     stroke: "#2e7d32",
                     strokeWidth: 3,
                     curve: "step-before"
@@ -760,7 +397,7 @@ If you recorded this track without timestamps, you may need to re-record your ro
                     x: "x",
                     y: "y",
                     dy: -15,
-                    text: d => `${d.y.toFixed(0)}m`,
+                    text: d => `${d.y.toFixed(0)}m · ${d.grade >= 0 ? "+" : ""}${d.grade.toFixed(1)}%`,
                     fill: "#000",
                     fontSize: 12,
                     fontWeight: "bold",
@@ -775,25 +412,850 @@ If you recorded this track without timestamps, you may need to re-record your ro
         this.charts.elevation = plot;
     }
 
-    createWindChart(xAxis = "time") {
-        const container = document.getElementById("windChart");
-        if (!container) return;
+    createWindChart(xAxis = "time") {
+        const container = document.getElementById("windChart");
+        if (!container) return;
+
+        container.innerHTML = "";
+        container.style.height = `${this.CONSTANTS.CHART_HEIGHT + 40}px`;
+
+        const data = this.gpxData.map((p, i) => ({
+            x: xAxis === "time" ? p.time : p.distance_km,
+            y: p.wind_faced,
+            dataIndex: i,
+            segment: p.segment_index ?? 0,
+            windType: p.wind_faced >= 0 ? "headwind" : "tailwind"
+        }));
+
+        this.chartData.wind = data;
+        this.renderWindChart(container, data, xAxis);
+    }
+
+    renderWindChart(container, data, xAxis = "time") {
+        if (!window.Plot) {
+            console.error("Observable Plot not available");
+            return;
+        }
+
+        const plot = Plot.plot({
+            width: container.clientWidth,
+            height: this.CONSTANTS.CHART_HEIGHT,
+            marginLeft: 30,
+            marginRight: 10,
+            marginBottom: 50,
+            marginTop: 30,
+            x: {
+                label: xAxis === "time" ? "Time" : "Distance (km)",
+                type: xAxis === "time" ? "utc" : "linear"
+            },
+            y: {
+                label: "Wind Faced (km/h)",
+                grid: true,
+                tickFormat: d => `${d > 0 ? "+" : ""}${d.toFixed(0)}`,
+                nice: true
+            },
+            color: {
+                domain: ["headwind", "tailwind"],
+                // range: ["#D55E00", "#0072B2"]
+            },
+            marks: [
+                Plot.ruleY([0], { stroke: "#666", strokeWidth: 2 }),
+                Plot.line(data, {
+                    x: "x",
+                    y: "y",
+                    z: "segment",
+                    stroke: "#1976d2",
+                    strokeWidth: 3,
+                    curve: "step-before"
+                }),
+                Plot.ruleX(data, Plot.pointerX({
+                    x: "x",
+                    stroke: "#ff4757",
+                    strokeWidth: 2,
+                    strokeDasharray: "5,3"
+                })),
+                Plot.dot(data, Plot.pointerX({
+                    x: "x",
+                    y: "y",
+                    r: 6,
+                    fill: "#ff4757",
+                    stroke: "#fff",
+                    strokeWidth: 2
+                })),
+                Plot.text(data, Plot.pointerX({
+                    x: "x",
+                    y: "y",
+                    dy: -15,
+                    text: d => `${d.y >= 0 ? '+' : ''}${d.y.toFixed(1)} km/h`,
+                    fill: "#000",
+                    fontSize: 12,
+                    fontWeight: "bold",
+                    textAnchor: "middle"
+                }))
+            ]
+        });
+
+        container.innerHTML = "";
+        container.appendChild(plot);
+        this.addMapInteraction(container, data);
+        this.charts.wind = plot;
+    }
+
+    createCrosswindChart(xAxis = "time") {
+        const container = document.getElementById("crosswindChart");
+        if (!container) return;
+
+        container.innerHTML = "";
+        container.style.height = `${this.CONSTANTS.CHART_HEIGHT + 40}px`;
+
+        const data = this.gpxData.map((p, i) => ({
+            x: xAxis === "time" ? p.time : p.distance_km,
+            y: p.crosswind,
+            dataIndex: i,
+            segment: p.segment_index ?? 0
+        }));
+
+        this.chartData.crosswind = data;
+        this.renderCrosswindChart(container, data, xAxis);
+    }
+
+    renderCrosswindChart(container, data, xAxis = "time") {
+        if (!window.Plot) {
+            console.error("Observable Plot not available");
+            return;
+        }
+
+        const threshold = this.options.crosswindThreshold;
+
+        const plot = Plot.plot({
+            width: container.clientWidth,
+            height: this.CONSTANTS.CHART_HEIGHT,
+            marginLeft: 30,
+            marginRight: 10,
+            marginBottom: 50,
+            marginTop: 30,
+            x: {
+                label: xAxis === "time" ? "Time" : "Distance (km)",
+                type: xAxis === "time" ? "utc" : "linear"
+            },
+            y: {
+                label: "Crosswind (km/h, + from right)",
+                grid: true,
+                tickFormat: d => `${d > 0 ? "+" : ""}${d.toFixed(0)}`,
+                nice: true
+            },
+            marks: [
+                Plot.ruleY([0], { stroke: "#666", strokeWidth: 2 }),
+                Plot.ruleY([threshold, -threshold], {
+                    stroke: "#7c3aed",
+                    strokeWidth: 1.5,
+                    strokeDasharray: "4,4"
+                }),
+                Plot.line(data, {
+                    x: "x",
+                    y: "y",
+                    z: "segment",
+                    stroke: "#7c3aed",
+                    strokeWidth: 3,
+                    curve: "step-before"
+                }),
+                Plot.ruleX(data, Plot.pointerX({
+                    x: "x",
+                    stroke: "#ff4757",
+                    strokeWidth: 2,
+                    strokeDasharray: "5,3"
+                })),
+                Plot.dot(data, Plot.pointerX({
+                    x: "x",
+                    y: "y",
+                    r: 6,
+                    fill: "#ff4757",
+                    stroke: "#fff",
+                    strokeWidth: 2
+                })),
+                Plot.text(data, Plot.pointerX({
+                    x: "x",
+                    y: "y",
+                    dy: -15,
+                    text: d => `${Math.abs(d.y).toFixed(1)} km/h from ${d.y >= 0 ? "right" : "left"}`,
+                    fill: "#000",
+                    fontSize: 12,
+                    fontWeight: "bold",
+                    textAnchor: "middle"
+                }))
+            ]
+        });
+
+        container.innerHTML = "";
+        container.appendChild(plot);
+        this.addMapInteraction(container, data);
+        this.charts.crosswind = plot;
+    }
+
+    createWeatherChart(xAxis = "time") {
+        const container = document.getElementById("weatherChart");
+        if (!container) return;
+
+        container.innerHTML = "";
+        container.style.height = `${this.CONSTANTS.CHART_HEIGHT + 40}px`;
+
+        const select = document.getElementById("weatherSeriesSelect");
+        const field = select?.value || "temperature";
+
+        const data = this.gpxData
+            .map((p, i) => ({
+                x: xAxis === "time" ? p.time : p.distance_km,
+                y: p[field],
+                dataIndex: i,
+                segment: p.segment_index ?? 0
+            }))
+            .filter(d => d.y != null && !isNaN(d.y));
+
+        this.chartData.weather = data;
+
+        if (data.length === 0) {
+            container.innerHTML = '<div class="text-center text-sm text-gray-500 mt-16">No data for this variable from the current weather source</div>';
+            return;
+        }
+
+        this.renderSeriesChart(container, data, xAxis, this.WEATHER_SERIES[field], "weather");
+    }
+
+    // Recorded sensor data (power, heart rate, cadence, temperature); the card
+    // stays hidden for tracks without any
+    createRiderMetricsChart(xAxis = "time") {
+        const card = document.getElementById("riderMetricsCard");
+        const container = document.getElementById("riderMetricsChart");
+        const select = document.getElementById("riderMetricSelect");
+        if (!card || !container || !select) return;
+
+        const available = Object.keys(this.RIDER_METRIC_SERIES)
+            .filter(field => this.gpxData.some(p => p[field] != null));
+
+        card.classList.toggle("hidden", available.length === 0);
+        this.chartData.riderMetrics = null;
+        if (available.length === 0) return;
+
+        for (const option of select.options) {
+            option.disabled = !available.includes(option.value);
+        }
+        if (!available.includes(select.value)) {
+            select.value = available[0];
+        }
+
+        container.innerHTML = "";
+        container.style.height = `${this.CONSTANTS.CHART_HEIGHT + 40}px`;
+
+        const field = select.value;
+        const data = this.gpxData
+            .map((p, i) => ({
+                x: xAxis === "time" ? p.time : p.distance_km,
+                y: p[field],
+                dataIndex: i,
+                segment: p.segment_index ?? 0
+            }))
+            .filter(d => d.y != null);
+
+        this.chartData.riderMetrics = data;
+        this.renderSeriesChart(container, data, xAxis, this.RIDER_METRIC_SERIES[field], "riderMetrics");
+    }
+
+    // Measured power against the headwind component while moving, with a
+    // least-squares trend line; hidden without a power meter
+    createPowerWindChart() {
+        const card = document.getElementById("powerWindCard");
+        const container = document.getElementById("powerWindChart");
+        if (!card || !container) return;
+
+        const powered = this.gpxData.filter(p => p.measured_power_w != null && p.speed_kmh > 0);
+        card.classList.toggle("hidden", powered.length < 2);
+        if (powered.length < 2) return;
+
+        // Thin out long rides so the scatter stays responsive
+        const step = Math.ceil(powered.length / 3000);
+        const data = powered
+            .filter((p, i) => i % step === 0)
+            .map(p => ({ x: p.wind_faced, y: p.measured_power_w }));
+
+        const { slope, correlation } = this.linearFit(
+            powered.map(p => p.wind_faced),
+            powered.map(p => p.measured_power_w)
+        );
+        const summary = document.getElementById("powerWindSummary");
+        if (summary) {
+            summary.textContent = slope !== null
+                ? `${slope >= 0 ? "+" : ""}${slope.toFixed(1)} W per km/h of headwind · r = ${(correlation ?? 0).toFixed(2)}`
+                : "";
+        }
+
+        container.innerHTML = "";
+        container.style.height = `${this.CONSTANTS.CHART_HEIGHT + 40}px`;
+
+        if (!window.Plot) {
+            console.error("Observable Plot not available");
+            return;
+        }
+
+        const plot = Plot.plot({
+            width: container.clientWidth,
+            height: this.CONSTANTS.CHART_HEIGHT,
+            marginLeft: 40,
+            marginRight: 10,
+            marginBottom: 50,
+            marginTop: 20,
+            x: { label: "Headwind (km/h) →", grid: true },
+            y: { label: "Power (W)", grid: true, nice: true },
+            marks: [
+                Plot.ruleX([0], { stroke: "#999" }),
+                Plot.dot(data, { x: "x", y: "y", r: 2, fill: "#d97706", fillOpacity: 0.25 }),
+                Plot.linearRegressionY(data, { x: "x", y: "y", stroke: "#b45309", strokeWidth: 2 })
+            ]
+        });
+
+        container.appendChild(plot);
+        this.charts.powerWind = plot;
+    }
+
+    // Start time recommender, shown for planned routes only
+    renderRecommendationCard() {
+        const card = document.getElementById("recommendCard");
+        if (!card) return;
+
+        card.classList.toggle("hidden", !this.options.plannedStartTime);
+
+        if (!this.recommendation) {
+            document.getElementById("recommendChart").innerHTML = "";
+            document.getElementById("recommendSummary").textContent =
+                "Compare start times and both riding directions against the forecast.";
+            document.getElementById("applyRecommendationBtn").classList.add("hidden");
+        }
+
+        document.getElementById("recommendBtn").onclick = () => this.runRecommendation();
+        document.getElementById("applyRecommendationBtn").onclick = () => {
+            if (this.recommendation) this.applyRecommendation(this.recommendation.best);
+        };
+    }
+
+    async runRecommendation() {
+        const summary = document.getElementById("recommendSummary");
+        const button = document.getElementById("recommendBtn");
+        const readInteger = (id, fallback) => {
+            const value = parseInt(document.getElementById(id)?.value, 10);
+            return isNaN(value) ? fallback : value;
+        };
+
+        const startTimes = this.createStartTimeGrid({
+            days: readInteger("recommendDaysInput", 3),
+            firstHour: readInteger("recommendFromInput", 6),
+            lastHour: readInteger("recommendToInput", 18),
+            stepHours: Math.max(1, readInteger("recommendStepInput", 1))
+        });
+        const metric = document.getElementById("recommendMetricSelect")?.value || "windEnergy";
+
+        button.disabled = true;
+        summary.textContent = `Comparing ${startTimes.length * 2} options...`;
+
+        try {
+            // Directions are relative to the route as loaded
+            const route = this.routeReversed
+                ? this.retimeRoute(this.gpxData, { reversed: true })
+                : this.gpxData;
+
+            this.recommendation = await this.recommendStartTimes(route, {
+                startTimes,
+                metric,
+                onProgress: (currentStep, totalSteps) => {
+                    summary.textContent = `Fetching wind ${currentStep}/${totalSteps}...`;
+                }
+            });
+            this.createRecommendationChart();
+        } catch (error) {
+            console.error("Recommendation error:", error);
+            summary.textContent = error.message;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // Heatmap of start time × day, one panel per direction, best option outlined
+    createRecommendationChart() {
+        const container = document.getElementById("recommendChart");
+        const summary = document.getElementById("recommendSummary");
+        if (!container || !this.recommendation) return;
+
+        const { field, candidates, best } = this.recommendation;
+        const unit = field === "avgWindFaced" ? "km/h" : "kJ";
+        const format = (value) => `${value >= 0 ? "+" : ""}${value.toFixed(field === "avgWindFaced" ? 1 : 0)} ${unit}`;
+        const dayLabel = (time) => time.toLocaleDateString([], { weekday: "short", day: "numeric", month: "short" });
+        const hourLabel = (time) => time.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+        const data = candidates.map(candidate => ({
+            day: dayLabel(candidate.startTime),
+            hour: hourLabel(candidate.startTime),
+            direction: candidate.reversed ? "Reversed" : "As loaded",
+            value: candidate[field],
+            best: candidate === best
+        }));
+
+        // Columns in clock order even when the first day starts later
+        const hourOrder = new Map(candidates.map(c => [hourLabel(c.startTime), c.startTime.getHours() * 60 + c.startTime.getMinutes()]));
+        const hours = [...hourOrder.keys()].sort((a, b) => hourOrder.get(a) - hourOrder.get(b));
+        const days = [...new Set(data.map(d => d.day))];
+
+        summary.textContent = `Best: ${dayLabel(best.startTime)} ${hourLabel(best.startTime)}${best.reversed ? ", reversed" : ""} · ${format(best[field])} · ${best.headwindPercentage.toFixed(0)}% in headwind`;
+        document.getElementById("applyRecommendationBtn")?.classList.remove("hidden");
+
+        container.innerHTML = "";
+        if (!window.Plot) {
+            console.error("Observable Plot not available");
+            return;
+        }
+
+        const plot = Plot.plot({
+            width: container.clientWidth,
+            height: 80 + days.length * 2 * 24,
+            marginLeft: 90,
+            marginRight: 70,
+            marginBottom: 50,
+            x: { label: "Start time", domain: hours, tickRotate: hours.length > 8 ? -45 : 0 },
+            y: { label: null, domain: days },
+            fy: { label: null },
+            color: {
+                type: "diverging",
+                pivot: 0,
+                scheme: "RdYlGn",
+                reverse: true,
+                legend: true,
+                label: field === "avgWindFaced" ? "Average headwind (km/h)" : "Wind energy cost (kJ)"
+            },
+            marks: [
+                Plot.cell(data, {
+                    x: "hour",
+                    y: "day",
+                    fy: "direction",
+                    fill: "value",
+                    inset: 0.5,
+                    title: d => `${d.day} ${d.hour}, ${d.direction.toLowerCase()}\n${format(d.value)}`
+                }),
+                Plot.cell(data.filter(d => d.best), {
+                    x: "hour",
+                    y: "day",
+                    fy: "direction",
+                    fill: "none",
+                    stroke: "#111",
+                    strokeWidth: 3
+                })
+            ]
+        });
+
+        container.appendChild(plot);
+        this.charts.recommendation = plot;
+    }
+
+    // Re-run the analysis for one candidate so its wind shows on the map
+    async applyRecommendation(candidate) {
+        this.setOptions({ plannedStartTime: candidate.startTime });
+        this.gpxData = this.retimeRoute(this.gpxData, {
+            reversed: candidate.reversed !== this.routeReversed,
+            startTime: candidate.startTime
+        });
+        this.routeReversed = candidate.reversed;
+        await this.analyze();
+    }
+
+    // Analyze other recordings of the loaded route and add them to the comparison
+    async addComparisonRides(files) {
+        // Recorded rides keep their own timestamps even in planning mode, and
+        // terrain sections are km ranges of the loaded ride, not of these
+        const { plannedStartTime, roughnessSegments } = this.options;
+        this.setOptions({ plannedStartTime: null, roughnessSegments: [] });
+
+        // A bad file is reported without losing the others
+        const failures = [];
+        try {
+            for (const file of files) {
+                try {
+                    const format = await this.detectFileFormat(file);
+                    if (!format) {
+                        throw new Error("not a supported track file");
+                    }
+
+                    const data = format === "fit" ? await file.arrayBuffer() : await file.text();
+                    const { points, stats } = await this.analyzePoints(this.parseTrack(data, format));
+                    this.comparisonRides.push({ name: file.name, points, stats });
+                    console.log(`Added ${file.name} to the comparison (${points.length} points)`);
+                } catch (error) {
+                    console.error(`Could not compare ${file.name}:`, error);
+                    failures.push(`${file.name}: ${error.message}`);
+                }
+            }
+        } finally {
+            this.setOptions({ plannedStartTime, roughnessSegments });
+            this.renderComparison();
+        }
+
+        if (failures.length > 0) {
+            throw new Error(`Could not add ${failures.length === 1 ? "this ride" : "these rides"}:\n${failures.join("\n")}`);
+        }
+    }
+
+    removeComparisonRide(index) {
+        this.comparisonRides.splice(index, 1);
+        this.renderComparison();
+    }
+
+    // Comparison card: overlaid speed and wind by route distance, then a
+    // section table with each ride's time difference to the loaded ride
+    renderComparison() {
+        const card = document.getElementById("compareCard");
+        if (!card) return;
+
+        card.classList.toggle("hidden", this.comparisonRides.length === 0);
+        if (this.comparisonRides.length === 0) return;
+
+        const rides = [
+            { name: this.rideName || "Loaded ride", points: this.gpxData },
+            ...this.comparisonRides
+        ];
+        const comparison = this.compareRides(rides);
+
+        document.getElementById("compareRideList").innerHTML = rides.map((ride, r) => `
+            <span class="inline-flex items-center gap-1 bg-gray-100 rounded px-2 py-1">
+                ${r === 0 ? "📌" : ""} ${this.escapeHTML(ride.name)}
+                ${r === 0 ? "" : `<button class="text-red-600 font-bold" data-ride="${r - 1}" title="Remove from comparison">×</button>`}
+            </span>`).join("");
+        document.querySelectorAll("#compareRideList button").forEach(button => {
+            button.onclick = () => this.removeComparisonRide(Number(button.dataset.ride));
+        });
+
+        document.getElementById("compareSummary").textContent =
+            `Sections of ${comparison.sectionKm} km along ${rides[0].name}; times include stops.`;
+
+        this.createComparisonCharts(rides);
+        document.getElementById("compareTable").innerHTML = this.createComparisonTableHTML(comparison);
+    }
+
+    createComparisonCharts(rides) {
+        const speedContainer = document.getElementById("compareSpeedChart");
+        const windContainer = document.getElementById("compareWindChart");
+        if (!speedContainer || !windContainer) return;
+
+        speedContainer.innerHTML = "";
+        windContainer.innerHTML = "";
+        if (!window.Plot) {
+            console.error("Observable Plot not available");
+            return;
+        }
+
+        // Thin long rides so the overlay stays responsive
+        const data = rides.flatMap(ride => {
+            const step = Math.max(1, Math.ceil(ride.points.length / 2000));
+            return ride.points
+                .filter((point, i) => i % step === 0 && point.route_km != null)
+                .map(point => ({
+                    x: point.route_km,
+                    speed: point.speed_kmh,
+                    wind: point.wind_faced,
+                    ride: ride.name
+                }));
+        });
+
+        const plotSeries = (container, y, label, legend) => Plot.plot({
+            width: speedContainer.clientWidth,
+            height: this.CONSTANTS.CHART_HEIGHT,
+            marginLeft: 50,
+            x: { label: "Route distance (km)" },
+            y: { label, grid: true },
+            color: { legend, domain: rides.map(ride => ride.name) },
+            marks: [
+                y === "wind" ? Plot.ruleY([0], { stroke: "#9ca3af" }) : null,
+                Plot.line(data, { x: "x", y, z: "ride", stroke: "ride", strokeWidth: 1.5, curve: "linear" })
+            ]
+        });
+
+        this.charts.compareSpeed = plotSeries(speedContainer, "speed", "Speed (km/h)", true);
+        this.charts.compareWind = plotSeries(windContainer, "wind", "Wind faced (km/h)", false);
+        speedContainer.appendChild(this.charts.compareSpeed);
+        windContainer.appendChild(this.charts.compareWind);
+    }
+
+    createComparisonTableHTML(comparison) {
+        const formatDelta = (seconds) => {
+            if (seconds == null) return "";
+            const color = seconds < 0 ? "text-green-600" : seconds > 0 ? "text-red-600" : "text-gray-500";
+            return `<span class="${color}">${seconds < 0 ? "−" : "+"}${this.formatSeconds(seconds)}</span>`;
+        };
+        const formatWind = (wind) => wind == null ? "" : `<span class="text-gray-400">${wind >= 0 ? "+" : ""}${wind.toFixed(1)}</span>`;
+
+        const header = comparison.totals.map(total => `<th class="px-2 py-1 text-right">${this.escapeHTML(total.name)}</th>`).join("");
+
+        const rows = comparison.sections.map(section => {
+            const cells = section.rides.map((result, r) => {
+                if (!result) return `<td class="px-2 py-1 text-right text-gray-400">–</td>`;
+                const delta = r > 0 ? ` ${formatDelta(result.deltaSeconds)}` : "";
+                return `<td class="px-2 py-1 text-right whitespace-nowrap">${this.formatSeconds(result.seconds)}${delta} ${formatWind(result.windFaced)}</td>`;
+            }).join("");
+            return `<tr class="border-t border-gray-100"><td class="px-2 py-1 whitespace-nowrap">${section.startKm.toFixed(1)}–${section.endKm.toFixed(1)} km</td>${cells}</tr>`;
+        }).join("");
+
+        const totals = comparison.totals.map((total, r) => {
+            const partial = total.coveredKm < comparison.totals[0].coveredKm - 1e-6
+                ? `<br><small class="text-gray-400">${total.coveredKm.toFixed(1)} km</small>`
+                : "";
+            const delta = r > 0 ? ` ${formatDelta(total.deltaSeconds)}` : "";
+            return `<td class="px-2 py-1 text-right whitespace-nowrap">${this.formatSeconds(total.seconds)}${delta}${partial}</td>`;
+        }).join("");
+
+        return `
+            <table class="w-full text-xs">
+                <thead><tr class="text-gray-500"><th class="px-2 py-1 text-left">Section</th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+                <tfoot><tr class="border-t-2 border-gray-300 font-semibold"><td class="px-2 py-1">Total</td>${totals}</tr></tfoot>
+            </table>
+            <p class="text-xs text-gray-400 mt-2">Section time, difference to the first ride and average wind faced (km/h, + = headwind).</p>`;
+    }
+
+    // h:mm:ss, or m:ss under an hour; the sign is left to the caller
+    formatSeconds(seconds) {
+        const total = Math.round(Math.abs(seconds));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const rest = String(total % 60).padStart(2, "0");
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, "0")}:${rest}` : `${minutes}:${rest}`;
+    }
+
+    // Ride identity for the segment library: file name and start time, so
+    // analyzing the same ride again replaces its efforts
+    getRideKey() {
+        const startTime = this.gpxData[0]?.time;
+        return {
+            key: `${this.rideName}|${startTime ? startTime.getTime() : ""}`,
+            name: this.rideName || "Ride"
+        };
+    }
+
+    // Match every stored segment against the loaded ride and record the
+    // efforts. Planned rides have synthesized times, so they are matched
+    // but not recorded.
+    async updateSegments() {
+        this.segmentEfforts = new Map();
+
+        try {
+            this.segments = await this.segmentLibrary.list();
+            const ride = this.getRideKey();
+
+            for (const segment of this.segments) {
+                const efforts = this.findSegmentEfforts(this.gpxData, segment);
+                if (efforts.length === 0) continue;
+
+                this.segmentEfforts.set(segment.id, efforts);
+                if (!this.options.plannedStartTime && !this.thinnedRide) {
+                    segment.efforts = (await this.segmentLibrary.recordEfforts(segment.id, ride, efforts)).efforts;
+                }
+            }
+            console.log(`Matched ${this.segmentEfforts.size} of ${this.segments.length} segments`);
+        } catch (error) {
+            console.warn("Segment library unavailable:", error);
+            this.segments = [];
+        }
+    }
+
+    // Re-match after the library changed and redraw the map and card
+    async refreshSegments() {
+        await this.updateSegments();
+        const view = this.map ? { center: this.map.getCenter(), zoom: this.map.getZoom() } : null;
+        this.createMap(view);
+        this.renderSegmentsCard();
+    }
+
+    // Efforts on stored segments, drawn under the route
+    renderSegmentEfforts() {
+        const layer = L.layerGroup();
+
+        for (const segment of this.segments) {
+            for (const effort of this.segmentEfforts.get(segment.id) || []) {
+                const coordinates = this.gpxData
+                    .slice(effort.startIndex, effort.endIndex + 1)
+                    .map(p => [p.lat, p.lon]);
+
+                L.polyline(coordinates, {
+                    color: "#ea580c",
+                    weight: 10,
+                    opacity: 0.35,
+                    lineCap: "round",
+                    lineJoin: "round"
+                })
+                    .bindTooltip(`🏁 ${this.escapeHTML(segment.name)} · ${this.formatSeconds(effort.seconds)}`, { sticky: true })
+                    .on("click", () => {
+                        this.selectedSegmentId = segment.id;
+                        this.renderSegmentsCard();
+                    })
+                    .addTo(layer);
+            }
+        }
+
+        layer.addTo(this.map);
+        return layer;
+    }
+
+    // Map control for a new segment: name it, then click its start and end
+    addSegmentControl() {
+        const control = L.control({ position: "bottomleft" });
+
+        control.onAdd = () => {
+            const container = L.DomUtil.create("div", "leaflet-bar");
+            container.style.cssText = "background: white; padding: 6px 8px; font-size: 12px; line-height: 1.6;";
+
+            container.innerHTML = `
+                <div style="font-weight: bold;">Segments</div>
+                <input type="text" data-role="name" placeholder="Segment name" style="font-size: 12px; width: 120px;" />
+                <button type="button" data-role="pick" style="margin-left: 4px; cursor: pointer;">New segment</button>
+                <div data-role="hint" style="color: #666;"></div>
+            `;
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            const name = container.querySelector('[data-role="name"]');
+            const hint = container.querySelector('[data-role="hint"]');
+
+            container.querySelector('[data-role="pick"]').addEventListener("click", () => {
+                this.pickSegment(name.value.trim(), hint);
+            });
+
+            return container;
+        };
+
+        control.addTo(this.map);
+    }
+
+    pickSegment(name, hint) {
+        const picked = [];
+        hint.textContent = "Click the start of the segment on the route";
+
+        const onClick = async (e) => {
+            this.map.closePopup();
+            picked.push(this.gpxData.indexOf(this.findClosestRoutePoint(e.latlng.lat, e.latlng.lng)));
+
+            if (picked.length < 2) {
+                hint.textContent = "Click the end of the segment";
+                return;
+            }
+
+            this.map.off("click", onClick);
+            try {
+                const segment = this.defineSegment(this.gpxData, picked[0], picked[1], name);
+                await this.segmentLibrary.save(segment);
+                this.selectedSegmentId = segment.id;
+                await this.refreshSegments();
+            } catch (error) {
+                console.error("Segment error:", error);
+                hint.textContent = error.message;
+            }
+        };
+
+        this.map.on("click", onClick);
+    }
+
+    // Segment card: this ride's effort and the leaderboard of every
+    // recorded effort on the selected segment
+    renderSegmentsCard() {
+        const card = document.getElementById("segmentsCard");
+        if (!card) return;
 
-        container.innerHTML = "";
-        container.style.height = `${this.CONSTANTS.CHART_HEIGHT + 40}px`;
+        card.classList.toggle("hidden", this.segments.length === 0);
+        if (this.segments.length === 0) return;
 
-        const data = this.gpxData.map((p, i) => ({
-            x: xAxis === "time" ? p.time : p.distance_km,
-            y: p.wind_faced,
-            dataIndex: i,
-            windType: p.wind_faced >= 0 ? "headwind" : "tailwind"
-        }));
+        // Segments on this ride first
+        const segments = [...this.segments].sort((a, b) =>
+            Number(this.segmentEfforts.has(b.id)) - Number(this.segmentEfforts.has(a.id)));
+        if (!segments.some(segment => segment.id === this.selectedSegmentId)) {
+            this.selectedSegmentId = segments[0].id;
+        }
+        const segment = segments.find(s => s.id === this.selectedSegmentId);
 
-        this.chartData.wind = data;
-        this.renderWindChart(container, data, xAxis);
+        const select = document.getElementById("segmentSelect");
+        select.innerHTML = segments.map(s => {
+            const onRide = this.segmentEfforts.has(s.id) ? "✓ " : "";
+            return `<option value="${s.id}">${onRide}${this.escapeHTML(s.name)} (${s.lengthKm.toFixed(1)} km)</option>`;
+        }).join("");
+        select.value = segment.id;
+        select.onchange = () => {
+            this.selectedSegmentId = select.value;
+            this.renderSegmentsCard();
+        };
+
+        const ranking = document.getElementById("segmentRankingSelect");
+        ranking.value = this.segmentRanking;
+        ranking.onchange = () => {
+            this.segmentRanking = ranking.value;
+            this.renderSegmentsCard();
+        };
+
+        document.getElementById("deleteSegmentBtn").onclick = async () => {
+            if (!confirm(`Delete segment "${segment.name}" and its ${segment.efforts.length} efforts?`)) return;
+            await this.segmentLibrary.delete(segment.id);
+            this.selectedSegmentId = null;
+            await this.refreshSegments();
+        };
+
+        const efforts = this.segmentEfforts.get(segment.id) || [];
+        document.getElementById("segmentSummary").innerHTML = efforts.length > 0
+            ? efforts.map(effort => `This ride: <strong>${this.formatSeconds(effort.seconds)}</strong>, ` +
+                `${this.formatSeconds(effort.adjustedSeconds)} in still air, ${effort.windFaced?.toFixed(1) ?? "–"} km/h average wind faced`).join("<br>")
+            : "Not ridden on this ride.";
+
+        document.getElementById("segmentLeaderboard").innerHTML = this.createLeaderboardHTML(segment);
     }
 
-    renderWindChart(container, data, xAxis = "time") {
+    createLeaderboardHTML(segment) {
+        const entries = this.segmentLibrary.leaderboard(segment, { by: this.segmentRanking });
+        if (entries.length === 0) {
+            return '<p class="text-xs text-gray-400 text-center">No recorded efforts yet.</p>';
+        }
+
+        const rideKey = this.getRideKey().key;
+        const effect = (entry) => {
+            if (entry.windEffect === "assisted") {
+                return `<span class="text-teal-700">🌬️ wind saved ${this.formatSeconds(entry.windSeconds)}</span>`;
+            }
+            if (entry.windEffect === "hindered") {
+                return `<span class="text-red-600">wind cost ${this.formatSeconds(entry.windSeconds)}</span>`;
+            }
+            return '<span class="text-gray-400">calm</span>';
+        };
+
+        const rows = entries.map(entry => `
+            <tr class="border-t border-gray-100 ${entry.rideKey === rideKey ? "bg-blue-50 font-semibold" : ""}">
+                <td class="px-2 py-1">${entry.rank}</td>
+                <td class="px-2 py-1 whitespace-nowrap" title="${this.escapeHTML(entry.rideName)}">${entry.startTime.toLocaleDateString()}</td>
+                <td class="px-2 py-1 text-right">${this.formatSeconds(entry.seconds)}</td>
+                <td class="px-2 py-1 text-right">${this.formatSeconds(entry.adjustedSeconds)}</td>
+                <td class="px-2 py-1 text-right">${entry.windFaced != null ? `${entry.windFaced >= 0 ? "+" : ""}${entry.windFaced.toFixed(1)}` : "–"}</td>
+                <td class="px-2 py-1 whitespace-nowrap">${effect(entry)}</td>
+            </tr>`).join("");
+
+        return `
+            <table class="w-full text-xs">
+                <thead><tr class="text-gray-500">
+                    <th class="px-2 py-1 text-left">#</th>
+                    <th class="px-2 py-1 text-left">Date</th>
+                    <th class="px-2 py-1 text-right">Time</th>
+                    <th class="px-2 py-1 text-right">Still air</th>
+                    <th class="px-2 py-1 text-right">Wind (km/h)</th>
+                    <th class="px-2 py-1 text-left">Effect</th>
+                </tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, (c) => ({
+            "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+        })[c]);
+    }
+
+    renderSeriesChart(container, data, xAxis, series, chartKey) {
         if (!window.Plot) {
             console.error("Observable Plot not available");
             return;
@@ -811,21 +1273,16 @@ If you recorded this track without timestamps, you may need to re-record your ro
                 type: xAxis === "time" ? "utc" : "linear"
             },
             y: {
-                label: "Wind Faced (km/h)",
+                label: series.label,
                 grid: true,
-                tickFormat: d => `${d > 0 ? "+" : ""}${d.toFixed(0)}`,
                 nice: true
             },
-            color: {
-                domain: ["headwind", "tailwind"],
-                // range: ["#D55E00", "#0072B2"]
-            },
             marks: [
-                Plot.ruleY([0], { stroke: "#666", strokeWidth: 2 }),
                 Plot.line(data, {
                     x: "x",
                     y: "y",
-                    stroke: "#1976d2",
+                    z: "segment",
+                    stroke: series.color,
                     strokeWidth: 3,
                     curve: "step-before"
                 }),
@@ -847,7 +1304,7 @@ If you recorded this track without timestamps, you may need to re-record your ro
                     x: "x",
                     y: "y",
                     dy: -15,
-                    text: d => `${d.y >= 0 ? '+' : ''}${d.y.toFixed(1)} km/h`,
+                    text: d => `${d.y.toFixed(series.digits)}${series.unit}`,
                     fill: "#000",
                     fontSize: 12,
                     fontWeight: "bold",
@@ -859,7 +1316,7 @@ If you recorded this track without timestamps, you may need to re-record your ro
         container.innerHTML = "";
         container.appendChild(plot);
         this.addMapInteraction(container, data);
-        this.charts.wind = plot;
+        this.charts[chartKey] = plot;
     }
 
     addMapInteraction(container, data) {
@@ -1054,7 +1511,7 @@ If you recorded this track without timestamps, you may need to re-record your ro
                 .bindTooltip(
                     `<div style="font-family: Arial, sans-serif; font-size: 12px;">
                        <strong>Speed:</strong> ${point.speed_kmh.toFixed(1)} km/h<br>
-                       <strong>Elevation:</strong> ${point.elevation.toFixed(0)}m<br>
+                       <strong>Elevation:</strong> ${point.elevation.toFixed(0)}m (${(point.grade_pct ?? 0).toFixed(1)}% grade)<br>
                        <strong>Wind Experienced:</strong> ${Math.abs(point.wind_faced).toFixed(1)} km/h ${windDirection}<br>
                        <strong>Time:</strong> ${timeStr}
                        </div>`,
@@ -1093,12 +1550,26 @@ If you recorded this track without timestamps, you may need to re-record your ro
                 this.recreateAllCharts("distance");
             });
         }
+
+        const weatherSelect = document.getElementById("weatherSeriesSelect");
+        if (weatherSelect) {
+            weatherSelect.onchange = () => this.createWeatherChart(this.currentXAxis);
+        }
+
+        const riderMetricSelect = document.getElementById("riderMetricSelect");
+        if (riderMetricSelect) {
+            riderMetricSelect.onchange = () => this.createRiderMetricsChart(this.currentXAxis);
+        }
     }
 
     recreateAllCharts(xAxis) {
         this.createSpeedChart(xAxis);
         this.createElevationChart(xAxis);
         this.createWindChart(xAxis);
+        this.createCrosswindChart(xAxis);
+        this.createWeatherChart(xAxis);
+        this.createRiderMetricsChart(xAxis);
+        this.createPowerWindChart();
     }
 
     setActiveToggle(chartType, axis) {
@@ -1118,7 +1589,8 @@ If you recorded this track without timestamps, you may need to re-record your ro
         }
     }
 
-    createMap() {
+    // view ({ center, zoom }) keeps the current viewport when re-rendering
+    createMap(view = null) {
         const mapDiv = document.getElementById("map");
         if (!mapDiv) {
             console.error("Map container not found");
@@ -1151,7 +1623,14 @@ If you recorded this track without timestamps, you may need to re-record your ro
 
         this.renderRouteOnMap();
         this.addStartEndMarkers();
-        this.fitMapToBounds();
+        this.addRoughnessControl();
+        this.addSegmentControl();
+
+        if (view) {
+            this.map.setView(view.center, view.zoom);
+        } else {
+            this.fitMapToBounds();
+        }
         this.invalidateMapSize();
     }
 
@@ -1161,6 +1640,7 @@ If you recorded this track without timestamps, you may need to re-record your ro
             this.map = null;
         }
         this.currentHoverMarker = null;
+        this.lastHighlightIndex = -1;
     }
 
     addMapTileLayer() {
@@ -1184,6 +1664,18 @@ If you recorded this track without timestamps, you may need to re-record your ro
         const coordinates = this.gpxData.map(p => [p.lat, p.lon]);
         this.bounds = L.latLngBounds(coordinates);
 
+        // Exposed crosswind sections sit underneath the route as a halo
+        const crosswindLayer = this.renderCrosswindExposure();
+        this.renderRoughnessSections();
+        const stopsLayer = this.renderStops();
+        const segmentsLayer = this.renderSegmentEfforts();
+
+        L.control.layers(null, {
+            "Crosswind exposure": crosswindLayer,
+            "Stops": stopsLayer,
+            "Segments": segmentsLayer
+        }, { collapsed: false }).addTo(this.map);
+
         // Create smoothed points for better visualization
         const smoothedPoints = this.createSmoothedRoutePoints();
 
@@ -1191,14 +1683,185 @@ If you recorded this track without timestamps, you may need to re-record your ro
         this.createColoredRouteSegments(smoothedPoints);
     }
 
+    renderCrosswindExposure() {
+        const sections = this.findCrosswindSections(this.gpxData);
+        const layer = L.layerGroup();
+
+        for (const { start, end } of sections) {
+            // Include the following point so single-point sections still draw,
+            // unless it starts the next segment
+            const next = end + 1 < this.gpxData.length && !this.isSegmentStart(this.gpxData, end + 1) ? end + 2 : end + 1;
+            const coordinates = this.gpxData
+                .slice(start, next)
+                .map(p => [p.lat, p.lon]);
+
+            L.polyline(coordinates, {
+                color: "#7c3aed",
+                weight: 16,
+                opacity: 0.45,
+                lineCap: "round",
+                lineJoin: "round"
+            })
+                .bindTooltip(`Crosswind above ${this.options.crosswindThreshold} km/h`, { sticky: true })
+                .addTo(layer);
+        }
+
+        layer.addTo(this.map);
+        this.crosswindLayer = layer;
+
+        console.log(`Highlighted ${sections.length} crosswind-exposed sections`);
+        return layer;
+    }
+
+    // A marker per detected stop, with its time and duration
+    renderStops() {
+        const layer = L.layerGroup();
+
+        for (const stop of this.stops) {
+            const minutes = Math.round(stop.duration / 60);
+            L.marker([stop.lat, stop.lon], {
+                icon: L.divIcon({
+                    className: "stop-marker",
+                    html: '<div style="background: #92400e; color: white; width: 22px; height: 22px; border-radius: 50%; border: 2px solid white; font-size: 12px; line-height: 18px; text-align: center;">⏸</div>',
+                    iconSize: [22, 22],
+                    iconAnchor: [11, 11]
+                })
+            })
+                .bindPopup(`Stopped ${minutes} min<br><small>${stop.startTime.toLocaleTimeString()} – ${stop.endTime.toLocaleTimeString()}</small>`)
+                .addTo(layer);
+        }
+
+        layer.addTo(this.map);
+        return layer;
+    }
+
+    // Route sections with their own terrain roughness, drawn as dashed outlines
+    renderRoughnessSections() {
+        for (const { startKm, endKm, roughnessLength } of this.options.roughnessSegments) {
+            const coordinates = this.gpxData
+                .filter(p => p.distance_km >= startKm && p.distance_km <= endKm)
+                .map(p => [p.lat, p.lon]);
+            if (coordinates.length < 2) continue;
+
+            L.polyline(coordinates, {
+                color: "#15803d",
+                weight: 12,
+                opacity: 0.6,
+                dashArray: "6,8",
+                lineCap: "butt"
+            })
+                .bindTooltip(`Terrain z₀ ${roughnessLength} m (${startKm.toFixed(1)}–${endKm.toFixed(1)} km)`, { sticky: true })
+                .addTo(this.map);
+        }
+    }
+
+    // Map control for giving part of the route its own terrain: choose a
+    // preset, then click the start and end of the section on the map
+    addRoughnessControl() {
+        const control = L.control({ position: "bottomleft" });
+
+        control.onAdd = () => {
+            const container = L.DomUtil.create("div", "leaflet-bar");
+            container.style.cssText = "background: white; padding: 6px 8px; font-size: 12px; line-height: 1.6;";
+
+            const options = Object.entries(this.ROUGHNESS_PRESETS)
+                .map(([key, preset]) => `<option value="${key}">${preset.label}</option>`)
+                .join("");
+            const segmentCount = this.options.roughnessSegments.length;
+
+            container.innerHTML = `
+                <div style="font-weight: bold;">Section terrain</div>
+                <select data-role="preset" style="font-size: 12px;">${options}</select>
+                <button type="button" data-role="pick" style="margin-left: 4px; cursor: pointer;">Pick section</button>
+                ${segmentCount > 0 ? `<button type="button" data-role="reset" style="margin-left: 4px; cursor: pointer;">Reset (${segmentCount})</button>` : ""}
+                <div data-role="hint" style="color: #666;"></div>
+            `;
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            const select = container.querySelector('[data-role="preset"]');
+            const hint = container.querySelector('[data-role="hint"]');
+
+            container.querySelector('[data-role="pick"]').addEventListener("click", () => {
+                this.pickRoughnessSection(select.value, hint);
+            });
+
+            container.querySelector('[data-role="reset"]')?.addEventListener("click", () => {
+                this.setOptions({ roughnessSegments: [] });
+                this.refreshWindEffects();
+            });
+
+            return container;
+        };
+
+        control.addTo(this.map);
+    }
+
+    pickRoughnessSection(presetKey, hint) {
+        const preset = this.ROUGHNESS_PRESETS[presetKey];
+        const picked = [];
+        hint.textContent = "Click the start of the section on the route";
+
+        const onClick = (e) => {
+            this.map.closePopup();
+            picked.push(this.findClosestRoutePoint(e.latlng.lat, e.latlng.lng).distance_km);
+
+            if (picked.length < 2) {
+                hint.textContent = "Click the end of the section";
+                return;
+            }
+
+            this.map.off("click", onClick);
+            const [startKm, endKm] = picked.sort((a, b) => a - b);
+            this.setOptions({
+                roughnessSegments: [
+                    ...this.options.roughnessSegments,
+                    { startKm, endKm, roughnessLength: preset.roughnessLength }
+                ]
+            });
+            console.log(`Terrain "${preset.label}" set for ${startKm.toFixed(2)}–${endKm.toFixed(2)} km`);
+            this.refreshWindEffects();
+        };
+
+        this.map.on("click", onClick);
+    }
+
+    findClosestRoutePoint(lat, lon) {
+        let closest = this.gpxData[0];
+        let minDistance = Infinity;
+
+        for (const point of this.gpxData) {
+            const distance = this.haversineDistance(lat, lon, point.lat, point.lon);
+            if (distance < minDistance) {
+                minDistance = distance;
+                closest = point;
+            }
+        }
+
+        return closest;
+    }
+
+    // Re-render after a change to the wind profile (terrain roughness); the
+    // wind already fetched is reused
+    refreshWindEffects() {
+        this.updateWindProfile(this.gpxData);
+        this.fullStats = null; // the full ride's stats no longer apply
+
+        const view = this.map ? { center: this.map.getCenter(), zoom: this.map.getZoom() } : null;
+        this.createMap(view);
+        this.recreateAllCharts(this.currentXAxis);
+        this.generateSummaryStats();
+    }
+
     createSmoothedRoutePoints() {
         const smoothedPoints = [];
 
         for (let i = 0; i < this.gpxData.length; i++) {
             smoothedPoints.push(this.gpxData[i]);
 
-            // Add interpolated points for smoother visualization
-            if (i < this.gpxData.length - 1) {
+            // Add interpolated points for smoother visualization, never across a segment gap
+            if (i < this.gpxData.length - 1 && !this.isSegmentStart(this.gpxData, i + 1)) {
                 const current = this.gpxData[i];
                 const next = this.gpxData[i + 1];
                 const distance = this.haversineDistance(current.lat, current.lon, next.lat, next.lon);
@@ -1224,8 +1887,9 @@ If you recorded this track without timestamps, you may need to re-record your ro
             time: new Date(current.time.getTime() + (next.time - current.time) * ratio),
             speed_kmh: current.speed_kmh + (next.speed_kmh - current.speed_kmh) * ratio,
             wind_speed: current.wind_speed + (next.wind_speed - current.wind_speed) * ratio,
-            wind_direction: current.wind_direction + (next.wind_direction - current.wind_direction) * ratio,
-            bearing: current.bearing + (next.bearing - current.bearing) * ratio
+            wind_direction: this.blendDirection(current.wind_direction, next.wind_direction, ratio),
+            bearing: this.blendDirection(current.bearing, next.bearing, ratio),
+            segment_index: current.segment_index
         };
     }
 
@@ -1235,6 +1899,9 @@ If you recorded this track without timestamps, you may need to re-record your ro
             const currPoint = smoothedPoints[i];
             const windFaced = currPoint.wind_faced || 0;
 
+            // Leave the map line broken between track segments
+            if (this.isSegmentStart(smoothedPoints, i)) continue;
+
             const style = this.getWindColorStyle(windFaced);
             const segment = this.createRouteSegment(prevPoint, currPoint, style);
 
@@ -1377,16 +2044,61 @@ If you recorded this track without timestamps, you may need to re-record your ro
                             <div style="font-size: 11px; color: #666;">Your Speed</div>
                             <div style="font-weight: bold;">${point.speed_kmh.toFixed(1)} km/h</div>
                         </div>
+                        <div style="text-align: center;">
+                            <div style="font-size: 11px; color: #666;">Crosswind</div>
+                            <div style="font-weight: bold;">${Math.abs(point.crosswind || 0).toFixed(1)} km/h</div>
+                        </div>
+                        <div style="text-align: center;">
+                            <div style="font-size: 11px; color: #666;">Wind Power</div>
+                            <div style="font-weight: bold;">${(point.wind_power_w || 0) >= 0 ? "+" : ""}${(point.wind_power_w || 0).toFixed(0)} W</div>
+                        </div>
                     </div>
                 </div>
                 
+                ${this.createWeatherPopupRow(point)}
+                ${this.createRiderPopupRow(point)}
+
                 <div style="text-align: center; font-size: 12px; color: #666;">
-                    ${point.time.toLocaleTimeString()}
+                    ${point.time.toLocaleTimeString()} · terrain z₀ ${point.roughness_length} m
                 </div>
             </div>
         `;
     }
 
+    // Recorded sensor values at this point, if any
+    createRiderPopupRow(point) {
+        const items = [
+            point.measured_power_w != null ? `⚡ ${point.measured_power_w.toFixed(0)} W` : null,
+            point.heart_rate != null ? `❤️ ${point.heart_rate.toFixed(0)} bpm` : null,
+            point.cadence != null ? `🔄 ${point.cadence.toFixed(0)} rpm` : null
+        ].filter(Boolean);
+
+        if (items.length === 0) return "";
+
+        return `
+                <div style="display: flex; flex-wrap: wrap; justify-content: center; gap: 4px 10px; font-size: 11px; color: #444; margin-bottom: 8px;">
+                    ${items.map(item => `<span>${item}</span>`).join("")}
+                </div>`;
+    }
+
+    // Compact row of the optional weather values known at this point
+    createWeatherPopupRow(point) {
+        const items = [
+            point.temperature != null ? `🌡️ ${point.temperature.toFixed(1)}°C` : null,
+            point.wind_gusts != null ? `💨 gusts ${point.wind_gusts.toFixed(0)} km/h` : null,
+            point.humidity != null ? `💧 ${point.humidity.toFixed(0)}%` : null,
+            point.precipitation != null ? `🌧️ ${point.precipitation.toFixed(1)} mm/h` : null,
+            point.pressure != null ? `${point.pressure.toFixed(0)} hPa` : null
+        ].filter(Boolean);
+
+        if (items.length === 0) return "";
+
+        return `
+                <div style="display: flex; flex-wrap: wrap; justify-content: center; gap: 4px 10px; font-size: 11px; color: #444; margin-bottom: 8px;">
+                    ${items.map(item => `<span>${item}</span>`).join("")}
+                </div>`;
+    }
+
     createWindDiagram(windFromDirection, cyclistDirection) {
         const diagramSize = 60;
         const center = diagramSize / 2;
@@ -1474,7 +2186,7 @@ If you recorded this track without timestamps, you may need to re-record your ro
     }
 
     generateSummaryStats() {
-        const stats = this.calculateRouteStatistics();
+        const stats = this.getRouteStatistics();
         const statsGrid = document.getElementById("statsGrid");
 
         if (!statsGrid) {
@@ -1485,76 +2197,432 @@ If you recorded this track without timestamps, you may need to re-record your ro
         statsGrid.innerHTML = this.createStatsHTML(stats);
     }
 
-    calculateRouteStatistics() {
-        const totalDistance = this.calculateTotalDistance();
-        const totalTime = (this.gpxData[this.gpxData.length - 1].time - this.gpxData[0].time) / (1000 * 60 * 60);
-
-        const speeds = this.gpxData.map(p => p.speed_kmh).filter(s => s > 0);
-        const windFacedValues = this.gpxData.map(p => p.wind_faced);
-        const windSpeedValues = this.gpxData.map(p => p.wind_speed);
-
-        return {
-            totalDistance,
-            totalTime,
-            avgSpeed: speeds.length > 0 ? speeds.reduce((sum, s) => sum + s, 0) / speeds.length : 0,
-            avgWindFaced: windFacedValues.reduce((sum, w) => sum + w, 0) / windFacedValues.length,
-            maxHeadwind: Math.max(...windFacedValues.map(w => Math.max(0, w))),
-            maxTailwind: Math.abs(Math.min(...windFacedValues.map(w => Math.min(0, w)))),
-            avgWindSpeed: windSpeedValues.reduce((sum, w) => sum + w, 0) / windSpeedValues.length,
-            headwindPercentage: (windFacedValues.filter(w => w >= 0).length / windFacedValues.length) * 100
-        };
+    createStatsHTML(stats) {
+        return this.createStatItems(stats).map(item => `
+            <div class="bg-gradient-to-br from-blue-600 to-blue-400 text-white p-6 rounded-lg text-center shadow-md transition-transform duration-200 hover:-translate-y-0.5 hover:shadow-xl">
+                <div class="text-3xl font-light mb-2">${item.value}</div>
+                ${item.detail ? `<div class="text-sm opacity-90 mb-2">${item.detail}</div>` : ""}
+                <div class="text-sm font-medium opacity-90 uppercase tracking-wide">${item.label}</div>
+            </div>
+        `).join('');
     }
 
-    createStatsHTML(stats) {
+    // Stats grid entries as [{ value, detail, label }], shared with the report
+    createStatItems(stats) {
         const statItems = [
             { value: `${stats.totalDistance.toFixed(1)} km`, label: "Total Distance" },
-            { value: `${stats.totalTime.toFixed(1)} h`, label: "Total Time" },
+            {
+                value: `${stats.movingTime.toFixed(1)} h`,
+                detail: `${stats.elapsedTime.toFixed(1)} h elapsed · ${stats.stopCount} stop${stats.stopCount === 1 ? "" : "s"}`,
+                label: "Moving Time"
+            },
+            { value: `${stats.movingAvgSpeed.toFixed(1)} km/h`, label: "Moving Avg Speed" },
+            {
+                value: `${stats.totalAscent.toFixed(0)} m`,
+                detail: `${stats.totalDescent.toFixed(0)} m descent · max ${stats.maxGrade.toFixed(1)}% grade`,
+                label: "Total Ascent"
+            },
             { value: `${stats.avgSpeed.toFixed(1)} km/h`, label: "Average Speed" },
             { value: `${stats.avgWindSpeed.toFixed(1)} km/h`, label: "Average Wind Speed" },
             { value: `${stats.avgWindFaced >= 0 ? "+" : ""}${stats.avgWindFaced.toFixed(1)} km/h`, label: "Average Wind Faced" },
             { value: `${stats.maxHeadwind.toFixed(1)} km/h`, label: "Max Headwind" },
             { value: `${stats.maxTailwind.toFixed(1)} km/h`, label: "Max Tailwind" },
-            { value: `${stats.headwindPercentage.toFixed(1)}%`, label: "Time in Headwind" }
+            { value: `${stats.headwindPercentage.toFixed(1)}%`, label: "Time in Headwind" },
+            { value: `${stats.windEnergyKJ >= 0 ? "+" : ""}${stats.windEnergyKJ.toFixed(0)} kJ`, label: "Wind Energy Cost" },
+            { value: `${stats.avgWindPower >= 0 ? "+" : ""}${stats.avgWindPower.toFixed(0)} W`, label: "Avg Wind Power" },
+            {
+                value: `${stats.neutralTime.toFixed(1)} h`,
+                detail: `${stats.neutralTimeDelta <= 0 ? "−" : "+"}${Math.abs(stats.neutralTimeDelta * 60).toFixed(0)} min vs moving time`,
+                label: "Wind-Neutral Moving Time"
+            },
+            {
+                value: `${stats.neutralAvgSpeed.toFixed(1)} km/h`,
+                detail: `${stats.neutralAvgSpeed >= stats.movingAvgSpeed ? "+" : "−"}${Math.abs(stats.neutralAvgSpeed - stats.movingAvgSpeed).toFixed(1)} km/h vs moving avg`,
+                label: "Wind-Neutral Avg Speed"
+            },
+            { value: `${stats.maxCrosswind.toFixed(1)} km/h`, label: "Max Crosswind" },
+            { value: `${stats.avgCrosswind.toFixed(1)} km/h`, label: "Average Crosswind" },
+            {
+                value: `${(stats.crosswindExposureTime * 60).toFixed(0)} min`,
+                detail: `${stats.crosswindExposurePercentage.toFixed(1)}% of ride`,
+                label: `Crosswind ≥ ${this.options.crosswindThreshold} km/h`
+            }
         ];
 
-        return statItems.map(item => `
-            <div class="bg-gradient-to-br from-blue-600 to-blue-400 text-white p-6 rounded-lg text-center shadow-md transition-transform duration-200 hover:-translate-y-0.5 hover:shadow-xl">
-                <div class="text-3xl font-light mb-2">${item.value}</div>
-                <div class="text-sm font-medium opacity-90 uppercase tracking-wide">${item.label}</div>
-            </div>
-        `).join('');
-    }
+        // Planned rides: show what the numbers are based on
+        if (this.options.plannedStartTime) {
+            statItems.unshift({
+                value: new Date(this.options.plannedStartTime).toLocaleString([], {
+                    weekday: "short",
+                    day: "numeric",
+                    month: "short",
+                    hour: "2-digit",
+                    minute: "2-digit"
+                }),
+                detail: `${this.options.plannedSpeed} km/h${this.routeReversed ? " · reversed" : ""} · ${this.weatherProvider.name}`,
+                label: "Planned Start"
+            });
+        }
 
-    calculateTotalDistance() {
-        let totalDistance = 0;
-        for (let i = 1; i < this.gpxData.length; i++) {
-            totalDistance += this.haversineDistance(
-                this.gpxData[i - 1].lat,
-                this.gpxData[i - 1].lon,
-                this.gpxData[i].lat,
-                this.gpxData[i].lon
-            );
+        // Weather context, only when the provider supplied it
+        if (stats.avgTemperature != null) {
+            statItems.push({
+                value: `${stats.avgTemperature.toFixed(1)}°C`,
+                detail: `${stats.minTemperature.toFixed(1)} to ${stats.maxTemperature.toFixed(1)}°C`,
+                label: "Average Temperature"
+            });
+        }
+        if (stats.maxGust != null) {
+            statItems.push({ value: `${stats.maxGust.toFixed(1)} km/h`, label: "Max Gust" });
+        }
+        if (stats.totalPrecipitation != null) {
+            statItems.push({ value: `${stats.totalPrecipitation.toFixed(1)} mm`, label: "Precipitation" });
+        }
+        if (stats.avgHumidity != null) {
+            statItems.push({ value: `${stats.avgHumidity.toFixed(0)}%`, label: "Average Humidity" });
         }
-        return totalDistance / 1000; // Convert to kilometers
+        if (stats.avgPressure != null) {
+            statItems.push({ value: `${stats.avgPressure.toFixed(0)} hPa`, label: "Average Pressure" });
+        }
+
+        // Recorded sensor data, only for tracks that carry it
+        if (stats.avgMeasuredPower != null) {
+            statItems.push({ value: `${stats.avgMeasuredPower.toFixed(0)} W`, label: "Measured Avg Power" });
+        }
+        if (stats.powerHeadwindSlope != null) {
+            statItems.push({
+                value: `${stats.powerHeadwindSlope >= 0 ? "+" : ""}${stats.powerHeadwindSlope.toFixed(1)} W`,
+                detail: `per km/h of headwind (r = ${(stats.powerHeadwindCorrelation ?? 0).toFixed(2)})`,
+                label: "Power vs Headwind"
+            });
+        }
+        if (stats.avgHeartRate != null) {
+            statItems.push({ value: `${stats.avgHeartRate.toFixed(0)} bpm`, label: "Average Heart Rate" });
+        }
+        if (stats.avgCadence != null) {
+            statItems.push({ value: `${stats.avgCadence.toFixed(0)} rpm`, label: "Average Cadence" });
+        }
+
+        return statItems;
     }
 
+
     async analyze() {
         try {
             this.showLoading();
 
-            await this.getWindDataEvery30Min();
-            this.interpolateWindAlongRoute();
-            this.createMap();
-            this.createCharts();
-            this.generateSummaryStats();
+            // Wait a bit for the loading screen to be visible before resetting progress
+            await this.delay(100);
+            this.updateProgress(0, 1);
+
+            // Section terrain belongs to the previous route
+            this.setOptions({ roughnessSegments: [] });
 
-            this.showResults();
+            this.stops = this.detectStops(this.gpxData);
+
+            this.windData = await this.getWindData(
+                this.gpxData,
+                (currentStep, totalSteps) => this.updateProgress(currentStep, totalSteps)
+            );
+            this.interpolateWindAlongRoute(this.gpxData, this.windData);
+            this.calculateWindPower(this.gpxData);
+            this.calculateWindNeutralSpeed(this.gpxData);
+            await this.renderResults();
+
+            // Planned rides have synthesized times and forecast wind
+            if (!this.options.plannedStartTime) {
+                await this.saveToHistory();
+            }
         } catch (error) {
             console.error("Analysis error:", error);
             this.showError(error.message);
         }
     }
 
+    // Map, charts, stats and cards for the analyzed gpxData
+    async renderResults() {
+        await this.updateSegments();
+        this.createMap();
+        this.createCharts();
+        this.generateSummaryStats();
+        this.renderTrackPicker();
+        this.renderRecommendationCard();
+        this.renderComparison();
+        this.renderSegmentsCard();
+
+        this.showResults();
+    }
+
+    async saveToHistory() {
+        try {
+            // A thinned copy keeps the history small; the summary keeps the full ride's stats
+            const points = this.downsampleRoute(this.gpxData, this.CONSTANTS.HISTORY_MAX_POINTS);
+            await this.rideLibrary.save(this.getRideKey(), {
+                points,
+                windData: this.windData,
+                stats: this.calculateRouteStatistics(this.gpxData),
+                stops: this.stopsFromFlags(points)
+            });
+            await this.renderHistory();
+        } catch (error) {
+            console.warn("Could not save the ride to the history:", error);
+        }
+    }
+
+    // Download the analyzed ride in one of the exportTrack formats
+    exportRide(format) {
+        if (this.gpxData.length === 0) return;
+
+        const { content, mimeType, extension } = this.exportTrack(this.gpxData, format, {
+            name: this.getRideBaseName(),
+            stats: this.getRouteStatistics()
+        });
+
+        this.downloadFile(new Blob([content], { type: mimeType }), `${this.getRideBaseName()}-wind.${extension}`);
+        console.log(`Exported ${this.gpxData.length} points as ${format.toUpperCase()}`);
+    }
+
+    getRideBaseName() {
+        return (this.rideName || "ride").replace(/\.[^.]+$/, "");
+    }
+
+    downloadFile(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Report content (see reportBuilder.js): the route colored as on the
+    // map, the stats grid and the speed, wind and elevation charts as drawn
+    createReport() {
+        const stats = this.getRouteStatistics();
+        const first = this.gpxData[0].time;
+        const last = this.gpxData[this.gpxData.length - 1].time;
+
+        const charts = [
+            { title: "📈 Speed Profile", plot: this.charts.speed },
+            { title: "💨 Wind Faced Profile", plot: this.charts.wind },
+            { title: "⛰️ Elevation Profile", plot: this.charts.elevation }
+        ]
+            .filter(chart => chart.plot)
+            .map(chart => {
+                // Plot returns a <figure> when the chart has a legend
+                const svg = chart.plot.tagName.toLowerCase() === "svg" ? chart.plot : chart.plot.querySelector("svg:last-of-type");
+                return { title: chart.title, svg: new XMLSerializer().serializeToString(svg) };
+            });
+
+        return {
+            title: this.getRideBaseName(),
+            subtitle: `${first.toLocaleString()} – ${last.toLocaleTimeString()} · wind from ${this.weatherProvider.name}`,
+            // Rounded so stretches of similar wind share one line
+            mapSVG: renderRouteSVG(this.gpxData, p => this.getWindColorStyle(Math.round(p.wind_faced || 0)).color, {
+                legendColors: [-15, -5, 5, 15].map(wind => this.getWindColorStyle(wind).color)
+            }),
+            stats: this.createStatItems(stats),
+            charts
+        };
+    }
+
+    // type is "html" (self-contained page), "png" (snapshot) or "pdf", which
+    // opens the page in a new tab and prints it so it can be saved as PDF
+    async downloadReport(type) {
+        if (this.gpxData.length === 0) return;
+
+        const report = this.createReport();
+        const fileName = `${this.getRideBaseName()}-wind-report`;
+
+        if (type === "png") {
+            this.downloadFile(await renderReportPNG(report), `${fileName}.png`);
+        } else {
+            const blob = new Blob([buildReportHTML(report)], { type: "text/html" });
+            if (type === "pdf") {
+                const url = URL.createObjectURL(blob);
+                const page = window.open(url, "_blank");
+                if (!page) {
+                    throw new Error("Allow pop-ups for this page to print the report");
+                }
+                page.addEventListener("load", () => {
+                    page.print();
+                    URL.revokeObjectURL(url);
+                });
+            } else {
+                this.downloadFile(blob, `${fileName}.html`);
+            }
+        }
+
+        console.log(`Created ${type.toUpperCase()} report`);
+    }
+
+    // Show a ride from the history with the wind stored for it
+    async openSavedRide(id) {
+        try {
+            this.showLoading();
+            const ride = await this.rideLibrary.load(id);
+            if (!ride) {
+                throw new Error("This ride is no longer in the history");
+            }
+
+            this.gpxData = ride.points;
+            this.windData = ride.windData;
+            this.stops = ride.stops;
+            this.resetRideState(ride.summary.name);
+            this.setOptions({ roughnessSegments: [], plannedStartTime: null });
+            this.thinnedRide = true;
+            this.fullStats = ride.summary.stats;
+
+            await this.renderResults();
+        } catch (error) {
+            console.error("Error opening ride:", error);
+            this.showError(error.message);
+        }
+    }
+
+    // Link to this page that reopens the current analysis (see
+    // encodeShareState). The data stays in the fragment, which browsers
+    // never send to the server.
+    async createShareLink() {
+        const fragment = await this.encodeShareState(this.gpxData, this.windData, { name: this.rideName || "" });
+        return `${location.origin}${location.pathname}#${fragment}`;
+    }
+
+    // Show an analysis from a share link with the sender's options and wind
+    async openSharedAnalysis(fragment) {
+        this.closeSharedView();
+        const ownOptions = { ...this.options };
+
+        try {
+            this.showLoading();
+            const shared = await this.analyzeShareState(fragment);
+
+            this.gpxData = shared.points;
+            this.windData = shared.windData;
+            this.stops = shared.stops;
+            this.resetRideState(shared.name);
+            this.sharedView = true;
+            this.thinnedRide = true;
+            this.fullStats = shared.stats;
+            this.optionsBeforeShare = ownOptions;
+
+            await this.renderResults();
+        } catch (error) {
+            console.error("Error opening shared analysis:", error);
+            this.setOptions(ownOptions);
+            this.showError(error.message);
+        }
+    }
+
+    // Ride list and monthly trends on the upload screen, hidden while the
+    // history is empty
+    async renderHistory() {
+        const section = document.getElementById("historySection");
+        if (!section) return;
+
+        let rides = [];
+        try {
+            rides = await this.rideLibrary.list();
+        } catch (error) {
+            console.warn("Ride history unavailable:", error);
+        }
+
+        section.classList.toggle("hidden", rides.length === 0);
+        if (rides.length === 0) return;
+
+        const persistent = await this.rideLibrary.isPersistent();
+        document.getElementById("historyInfo").textContent =
+            `${rides.length} ride${rides.length === 1 ? "" : "s"}${persistent ? "" : " (kept until the page is closed)"}`;
+
+        const list = document.getElementById("historyList");
+        list.innerHTML = rides.map(ride => `
+            <tr class="border-t border-gray-100">
+                <td class="px-2 py-1 whitespace-nowrap">${ride.startTime.toLocaleDateString()}</td>
+                <td class="px-2 py-1 truncate max-w-xs" title="${this.escapeHTML(ride.name)}">${this.escapeHTML(ride.name)}</td>
+                <td class="px-2 py-1 text-right">${ride.stats.totalDistance.toFixed(1)} km</td>
+                <td class="px-2 py-1 text-right">${ride.stats.avgWindFaced >= 0 ? "+" : ""}${ride.stats.avgWindFaced.toFixed(1)} km/h</td>
+                <td class="px-2 py-1 text-right">${ride.stats.headwindPercentage.toFixed(0)}%</td>
+                <td class="px-2 py-1 text-right whitespace-nowrap">
+                    <button class="text-blue-600 underline" data-open="${this.escapeHTML(ride.id)}">Open</button>
+                    <button class="text-red-600 font-bold ml-2" data-delete="${this.escapeHTML(ride.id)}" title="Delete from history">×</button>
+                </td>
+            </tr>`).join("");
+
+        list.querySelectorAll("[data-open]").forEach(button => {
+            button.onclick = () => this.openSavedRide(button.dataset.open);
+        });
+        list.querySelectorAll("[data-delete]").forEach(button => {
+            button.onclick = async () => {
+                await this.rideLibrary.delete(button.dataset.delete);
+                await this.renderHistory();
+            };
+        });
+
+        const metricSelect = document.getElementById("historyMetricSelect");
+        metricSelect.value = this.historyMetric;
+        metricSelect.onchange = () => {
+            this.historyMetric = metricSelect.value;
+            this.createHistoryChart(rides);
+        };
+
+        this.createHistoryChart(rides);
+    }
+
+    // Monthly averages as bars with every ride as a dot
+    createHistoryChart(rides) {
+        const container = document.getElementById("historyTrendChart");
+        if (!container) return;
+
+        container.innerHTML = "";
+        if (!window.Plot) {
+            console.error("Observable Plot not available");
+            return;
+        }
+
+        const metric = this.historyMetric;
+        const labels = {
+            avgWindFaced: "Average wind faced (km/h)",
+            headwindPercentage: "Time in headwind (%)",
+            movingAvgSpeed: "Moving average speed (km/h)"
+        };
+        const monthLabel = (date) => date.toLocaleDateString([], { month: "short", year: "numeric" });
+
+        const trends = this.rideLibrary.trends(rides).filter(trend => trend[metric] != null);
+        const months = trends.map(trend => monthLabel(trend.startTime));
+        const dots = rides
+            .filter(ride => ride.stats[metric] != null)
+            .map(ride => ({ month: monthLabel(ride.startTime), value: ride.stats[metric], name: ride.name }));
+
+        const plot = Plot.plot({
+            width: container.clientWidth || 640,
+            height: this.CONSTANTS.CHART_HEIGHT,
+            marginLeft: 50,
+            x: { label: null, domain: months, tickRotate: months.length > 8 ? -45 : 0 },
+            y: { label: labels[metric], grid: true },
+            marks: [
+                Plot.barY(trends, {
+                    x: (trend) => monthLabel(trend.startTime),
+                    y: metric,
+                    fill: "#93c5fd",
+                    title: (trend) => `${trend.period}: ${trend[metric].toFixed(1)} over ${trend.rides} ride${trend.rides === 1 ? "" : "s"}, ${trend.distanceKm.toFixed(0)} km`
+                }),
+                Plot.ruleY([0]),
+                Plot.dot(dots, {
+                    x: "month",
+                    y: "value",
+                    fill: "#1d4ed8",
+                    r: 3,
+                    title: (d) => `${d.name}: ${d.value.toFixed(1)}`
+                })
+            ]
+        });
+
+        container.appendChild(plot);
+        this.charts.history = plot;
+    }
+
     showLoading() {
         const loading = document.getElementById("loading");
         const results = document.getElementById("results");
@@ -1649,7 +2717,11 @@ If you recorded this track without timestamps, you may need to re-record your ro
         // Reset data
         this.gpxData = [];
         this.windData = [];
-        this.chartData = { speed: null, elevation: null, wind: null };
+        this.stops = [];
+        this.tracks = [];
+        this.trackSource = null;
+        this.comparisonRides = [];
+        this.chartData = { speed: null, elevation: null, wind: null, crosswind: null, weather: null, riderMetrics: null };
 
         console.log("CyclistWindAnalyzer destroyed and cleaned up");
     }
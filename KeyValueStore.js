@@ -0,0 +1,122 @@
+// Small async key-value store backed by IndexedDB, falling back to an
+// in-memory Map where IndexedDB is unavailable (Node, private browsing,
+// blocked storage). Each store lives in its own database so stores can be
+// added without coordinating schema versions.
+
+const DB_PREFIX = "windgpx-";
+const OBJECT_STORE = "entries";
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+class KeyValueStore {
+    constructor(name) {
+        this.name = name;
+        this.memory = new Map();
+        this.dbPromise = null;
+    }
+
+    // Resolves to the IndexedDB database, or null when using the memory fallback
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = this.openDatabase().catch(error => {
+                console.warn(`IndexedDB unavailable for "${this.name}", using in-memory storage:`, error);
+                return null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    openDatabase() {
+        if (typeof indexedDB === "undefined") {
+            return Promise.reject(new Error("indexedDB is not defined"));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_PREFIX + this.name, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(OBJECT_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error("Database upgrade blocked"));
+        });
+    }
+
+    async isPersistent() {
+        return (await this.open()) !== null;
+    }
+
+    async run(mode, operation) {
+        const db = await this.open();
+        const transaction = db.transaction(OBJECT_STORE, mode);
+        return requestToPromise(operation(transaction.objectStore(OBJECT_STORE)));
+    }
+
+    async get(key) {
+        if (!(await this.open())) return this.memory.get(key);
+        return this.run("readonly", store => store.get(key));
+    }
+
+    async put(key, value) {
+        if (!(await this.open())) {
+            this.memory.set(key, value);
+            return;
+        }
+        await this.run("readwrite", store => store.put(value, key));
+    }
+
+    // Write [key, value] pairs in a single transaction
+    async putMany(entries) {
+        const db = await this.open();
+        if (!db) {
+            for (const [key, value] of entries) this.memory.set(key, value);
+            return;
+        }
+
+        const transaction = db.transaction(OBJECT_STORE, "readwrite");
+        const store = transaction.objectStore(OBJECT_STORE);
+        for (const [key, value] of entries) store.put(value, key);
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async delete(key) {
+        if (!(await this.open())) {
+            this.memory.delete(key);
+            return;
+        }
+        await this.run("readwrite", store => store.delete(key));
+    }
+
+    async keys() {
+        if (!(await this.open())) return [...this.memory.keys()];
+        return this.run("readonly", store => store.getAllKeys());
+    }
+
+    async values() {
+        if (!(await this.open())) return [...this.memory.values()];
+        return this.run("readonly", store => store.getAll());
+    }
+
+    async count() {
+        if (!(await this.open())) return this.memory.size;
+        return this.run("readonly", store => store.count());
+    }
+
+    async clear() {
+        if (!(await this.open())) {
+            this.memory.clear();
+            return;
+        }
+        await this.run("readwrite", store => store.clear());
+    }
+}
+
+// Export the class for use in other modules
+export default KeyValueStore;
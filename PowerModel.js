@@ -0,0 +1,71 @@
+// Steady-state cycling power model: aerodynamic drag, rolling resistance and
+// gravity. Speeds are in m/s, powers in watts.
+const GRAVITY = 9.80665; // m/s²
+const GAS_CONSTANT_DRY_AIR = 287.058; // J/(kg·K)
+
+class PowerModel {
+    constructor({ cda = 0.32, mass = 85, crr = 0.005 } = {}) {
+        this.cda = cda; // drag area (m²)
+        this.mass = mass; // rider + bike (kg)
+        this.crr = crr; // rolling resistance coefficient
+    }
+
+    // Air density (kg/m³) from the standard atmosphere at the given elevation,
+    // optionally overridden by measured temperature (°C) and pressure (hPa)
+    airDensity(elevation = 0, temperature = null, pressure = null) {
+        const isaTemperature = 288.15 - 0.0065 * elevation;
+        const kelvin = temperature != null ? temperature + 273.15 : isaTemperature;
+        const pascals = pressure != null
+            ? pressure * 100
+            : 101325 * Math.pow(1 - 2.25577e-5 * elevation, 5.25588);
+
+        return pascals / (GAS_CONSTANT_DRY_AIR * kelvin);
+    }
+
+    // Aerodynamic power for ground speed v with a headwind component
+    // (negative for tailwind). Drag acts on the air speed v + headwind.
+    aeroPower(speed, headwind, density) {
+        const airSpeed = speed + headwind;
+        return 0.5 * density * this.cda * airSpeed * Math.abs(airSpeed) * speed;
+    }
+
+    rollingPower(speed, grade = 0) {
+        return this.crr * this.mass * GRAVITY * Math.cos(Math.atan(grade)) * speed;
+    }
+
+    gravityPower(speed, grade = 0) {
+        return this.mass * GRAVITY * Math.sin(Math.atan(grade)) * speed;
+    }
+
+    // Power the rider must produce; negative results mean coasting/braking
+    totalPower(speed, headwind, grade, density) {
+        return this.aeroPower(speed, headwind, density) +
+            this.rollingPower(speed, grade) +
+            this.gravityPower(speed, grade);
+    }
+
+    // Ground speed at which the given power is sustained, found by bisection.
+    // totalPower - power is negative at 0 and crosses zero exactly once above
+    // it, even downhill where resistance is negative at low speed.
+    solveSpeed(power, headwind, grade, density, maxSpeed = 30) {
+        if (power <= 0) return 0;
+
+        let low = 0;
+        let high = maxSpeed;
+        if (this.totalPower(high, headwind, grade, density) < power) return maxSpeed;
+
+        for (let i = 0; i < 50 && high - low > 1e-4; i++) {
+            const mid = (low + high) / 2;
+            if (this.totalPower(mid, headwind, grade, density) < power) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        return (low + high) / 2;
+    }
+}
+
+// Export the class for use in other modules
+export default PowerModel;
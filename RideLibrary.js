@@ -0,0 +1,157 @@
+import KeyValueStore from './KeyValueStore.js';
+
+// History of analyzed rides, so they can be reopened without fetching the
+// weather again and compared over time. Summaries (name, start time, stats)
+// and the analyzed points are kept in separate stores so the list can be
+// read without loading every track. Only the maxRides most recently saved
+// rides are kept.
+
+// Times are stored as epoch ms, like WeatherCache
+function storeTimes(item, fields) {
+    const copy = { ...item };
+    for (const field of fields) {
+        if (copy[field] instanceof Date) copy[field] = copy[field].getTime();
+    }
+    return copy;
+}
+
+function reviveTimes(item, fields) {
+    const copy = { ...item };
+    for (const field of fields) {
+        if (copy[field] != null) copy[field] = new Date(copy[field]);
+    }
+    return copy;
+}
+
+// Trend metrics: how each is averaged over the rides of a period
+const TREND_METRICS = {
+    avgWindFaced: "distance",
+    headwindPercentage: "distance",
+    movingAvgSpeed: "movingTime"
+};
+
+class RideLibrary {
+    constructor({ summaries = new KeyValueStore("rides"), data = new KeyValueStore("ride-data"), maxRides = 100 } = {}) {
+        this.summaries = summaries;
+        this.data = data;
+        this.maxRides = maxRides;
+    }
+
+    // Store an analyzed ride under ride.key (see getRideKey), replacing an
+    // earlier analysis of it
+    async save(ride, { points, windData, stats, stops }) {
+        await this.data.put(ride.key, {
+            points: points.map(point => storeTimes(point, ["time"])),
+            windData: windData.map(sample => ({
+                ...storeTimes(sample, ["time"]),
+                ...(sample.series ? { series: sample.series.map(s => storeTimes(s, ["time"])) } : {})
+            })),
+            stops: stops.map(stop => storeTimes(stop, ["startTime", "endTime"]))
+        });
+        await this.summaries.put(ride.key, {
+            id: ride.key,
+            name: ride.name,
+            startTime: points[0].time.getTime(),
+            savedAt: Date.now(),
+            pointCount: points.length,
+            stats
+        });
+        console.log(`Saved ${ride.name} to the ride history`);
+        await this.prune();
+    }
+
+    // Delete the least recently saved rides beyond maxRides
+    async prune() {
+        const entries = await this.summaries.values();
+        if (entries.length <= this.maxRides) return;
+
+        const excess = entries
+            .sort((a, b) => a.savedAt - b.savedAt)
+            .slice(0, entries.length - this.maxRides);
+        for (const entry of excess) {
+            await this.delete(entry.id);
+        }
+        console.log(`Ride history pruned ${excess.length} rides`);
+    }
+
+    // Summaries of every stored ride, newest first
+    async list() {
+        const entries = await this.summaries.values();
+        return entries
+            .map(entry => reviveTimes(entry, ["startTime", "savedAt"]))
+            .sort((a, b) => b.startTime - a.startTime);
+    }
+
+    // A stored ride as { summary, points, windData, stops }, or null
+    async load(id) {
+        const [summary, data] = await Promise.all([this.summaries.get(id), this.data.get(id)]);
+        if (!summary || !data) return null;
+
+        return {
+            summary: reviveTimes(summary, ["startTime", "savedAt"]),
+            points: data.points.map(point => reviveTimes(point, ["time"])),
+            windData: data.windData.map(sample => ({
+                ...reviveTimes(sample, ["time"]),
+                ...(sample.series ? { series: sample.series.map(s => reviveTimes(s, ["time"])) } : {})
+            })),
+            stops: data.stops.map(stop => reviveTimes(stop, ["startTime", "endTime"]))
+        };
+    }
+
+    async delete(id) {
+        await this.data.delete(id);
+        await this.summaries.delete(id);
+    }
+
+    async clear() {
+        await this.data.clear();
+        await this.summaries.clear();
+        console.log("Ride history cleared");
+    }
+
+    async isPersistent() {
+        return this.summaries.isPersistent();
+    }
+
+    // Per-month figures across ride summaries, oldest first:
+    // [{ period, startTime, rides, distanceKm, avgWindFaced,
+    // headwindPercentage, movingAvgSpeed }]. Wind figures are weighted by
+    // distance, speed by moving time, so long rides count for more.
+    trends(summaries) {
+        const periods = new Map();
+
+        for (const summary of summaries) {
+            const start = summary.startTime;
+            const key = `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, "0")}`;
+            if (!periods.has(key)) {
+                periods.set(key, { period: key, startTime: new Date(start.getFullYear(), start.getMonth(), 1), rides: [] });
+            }
+            periods.get(key).rides.push(summary.stats);
+        }
+
+        return [...periods.values()]
+            .sort((a, b) => a.startTime - b.startTime)
+            .map(({ period, startTime, rides }) => {
+                const trend = {
+                    period,
+                    startTime,
+                    rides: rides.length,
+                    distanceKm: rides.reduce((sum, stats) => sum + stats.totalDistance, 0)
+                };
+
+                for (const [metric, weightField] of Object.entries(TREND_METRICS)) {
+                    const weight = (stats) => weightField === "distance" ? stats.totalDistance : stats.movingTime;
+                    const weighted = rides.filter(stats => stats[metric] != null && weight(stats) > 0);
+                    const totalWeight = weighted.reduce((sum, stats) => sum + weight(stats), 0);
+                    trend[metric] = totalWeight > 0
+                        ? weighted.reduce((sum, stats) => sum + stats[metric] * weight(stats), 0) / totalWeight
+                        : null;
+                }
+
+                return trend;
+            });
+    }
+}
+
+// Export the class for use in other modules
+export default RideLibrary;
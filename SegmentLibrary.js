@@ -0,0 +1,101 @@
+import KeyValueStore from './KeyValueStore.js';
+
+// Named route segments and the efforts ridden on them, kept between visits
+// so efforts from different days can be ranked. A segment is { id, name,
+// start, end, lengthKm, tolerance, efforts } (see defineSegment); efforts
+// come from findSegmentEfforts plus the ride they belong to.
+
+// Share of the still-air time the wind must save or cost before an effort
+// counts as wind-assisted or wind-hindered
+const WIND_EFFECT_THRESHOLD = 0.02;
+
+class SegmentLibrary {
+    constructor({ store = new KeyValueStore("segments") } = {}) {
+        this.store = store;
+    }
+
+    // Stored segments by name, effort times as Dates
+    async list() {
+        const entries = await this.store.values();
+        return entries
+            .map(entry => this.fromEntry(entry))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async get(id) {
+        const entry = await this.store.get(id);
+        return entry ? this.fromEntry(entry) : null;
+    }
+
+    async save(segment) {
+        await this.store.put(segment.id, this.toEntry({ efforts: [], ...segment }));
+        console.log(`Saved segment "${segment.name}"`);
+        return segment;
+    }
+
+    async delete(id) {
+        await this.store.delete(id);
+    }
+
+    // Store a ride's efforts on a segment, replacing any already recorded for
+    // the same ride so analyzing it again does not add duplicates
+    async recordEfforts(segmentId, ride, efforts) {
+        const segment = await this.get(segmentId);
+        if (!segment) return null;
+
+        segment.efforts = [
+            ...segment.efforts.filter(effort => effort.rideKey !== ride.key),
+            ...efforts.map(effort => ({
+                rideKey: ride.key,
+                rideName: ride.name,
+                startTime: effort.startTime,
+                seconds: effort.seconds,
+                adjustedSeconds: effort.adjustedSeconds,
+                distanceKm: effort.distanceKm,
+                speedKmh: effort.speedKmh,
+                windFaced: effort.windFaced
+            }))
+        ];
+
+        await this.store.put(segmentId, this.toEntry(segment));
+        return segment;
+    }
+
+    // Efforts ranked by wind-adjusted time (or by = "seconds" for actual
+    // time), each with rank, windSeconds (time the wind saved, negative when
+    // it cost time) and windEffect "assisted", "hindered" or "neutral"
+    leaderboard(segment, { by = "adjustedSeconds" } = {}) {
+        return segment.efforts
+            .map(effort => {
+                const windSeconds = effort.adjustedSeconds - effort.seconds;
+                const share = effort.adjustedSeconds > 0 ? windSeconds / effort.adjustedSeconds : 0;
+                return {
+                    ...effort,
+                    windSeconds,
+                    windEffect: share > WIND_EFFECT_THRESHOLD ? "assisted"
+                        : share < -WIND_EFFECT_THRESHOLD ? "hindered"
+                            : "neutral"
+                };
+            })
+            .sort((a, b) => a[by] - b[by])
+            .map((effort, i) => ({ ...effort, rank: i + 1 }));
+    }
+
+    // Stored entries keep effort times as epoch ms, like WeatherCache
+    toEntry(segment) {
+        return {
+            ...segment,
+            efforts: segment.efforts.map(effort => ({ ...effort, startTime: effort.startTime.getTime() }))
+        };
+    }
+
+    fromEntry(entry) {
+        return {
+            ...entry,
+            efforts: (entry.efforts || []).map(effort => ({ ...effort, startTime: new Date(effort.startTime) }))
+        };
+    }
+}
+
+// Export the class for use in other modules
+export default SegmentLibrary;
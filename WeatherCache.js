@@ -0,0 +1,101 @@
+import KeyValueStore from './KeyValueStore.js';
+
+// Persistent cache of hourly weather, one entry per location-day. Keys are
+// rounded lat/lon + UTC date + requested variables, so re-analyzing a ride
+// (or a nearby one on the same day) does not hit the network again.
+class WeatherCache {
+    constructor({ maxEntries = 2000, precision = 2, store = new KeyValueStore("weather-cache") } = {}) {
+        this.maxEntries = maxEntries;
+        this.precision = precision; // decimal places of lat/lon (2 ≈ 1 km)
+        this.store = store;
+        this.accessTimes = new Map(); // key → last hit not yet stored (see flushAccessTimes)
+    }
+
+    roundCoordinate(value) {
+        return Number(value.toFixed(this.precision));
+    }
+
+    key(lat, lon, date, variables) {
+        return `${this.roundCoordinate(lat)},${this.roundCoordinate(lon)}|${date}|${variables}`;
+    }
+
+    // Cached hourly series for one location-day, or null
+    async get(lat, lon, date, variables) {
+        try {
+            const key = this.key(lat, lon, date, variables);
+            const entry = await this.store.get(key);
+            if (!entry) return null;
+
+            this.accessTimes.set(key, Date.now());
+
+            return entry.series.map(sample => ({ ...sample, time: new Date(sample.time) }));
+        } catch (error) {
+            console.warn("Weather cache read failed:", error);
+            return null;
+        }
+    }
+
+    async put(lat, lon, date, variables, series) {
+        try {
+            await this.store.put(this.key(lat, lon, date, variables), {
+                lastAccess: Date.now(),
+                series: series.map(sample => ({ ...sample, time: sample.time.getTime() }))
+            });
+        } catch (error) {
+            console.warn("Weather cache write failed:", error);
+        }
+    }
+
+    // Hits only note their time in memory, so reads stay read-only; the
+    // times are written here in one transaction before pruning
+    async flushAccessTimes() {
+        if (this.accessTimes.size === 0) return;
+
+        const pending = [...this.accessTimes];
+        this.accessTimes.clear();
+
+        const updates = [];
+        for (const [key, lastAccess] of pending) {
+            const entry = await this.store.get(key);
+            if (entry) updates.push([key, { ...entry, lastAccess }]);
+        }
+        await this.store.putMany(updates);
+    }
+
+    // Drop least recently used entries beyond maxEntries
+    async prune() {
+        try {
+            await this.flushAccessTimes();
+
+            const count = await this.store.count();
+            if (count <= this.maxEntries) return;
+
+            const keys = await this.store.keys();
+            const entries = await this.store.values();
+            const byAge = keys
+                .map((key, i) => ({ key, lastAccess: entries[i].lastAccess }))
+                .sort((a, b) => a.lastAccess - b.lastAccess);
+
+            const excess = byAge.slice(0, count - this.maxEntries);
+            for (const { key } of excess) {
+                await this.store.delete(key);
+            }
+            console.log(`Weather cache pruned ${excess.length} entries`);
+        } catch (error) {
+            console.warn("Weather cache prune failed:", error);
+        }
+    }
+
+    async size() {
+        return this.store.count();
+    }
+
+    async clear() {
+        this.accessTimes.clear();
+        await this.store.clear();
+        console.log("Weather cache cleared");
+    }
+}
+
+// Export the class for use in other modules
+export default WeatherCache;
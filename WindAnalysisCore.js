@@ -0,0 +1,2723 @@
+import { parseXML, findAll, findFirst, findChildren, textContent } from './xmlParser.js';
+import { decodeFIT, getFITRecords } from './fitParser.js';
+import { OpenMeteoProvider } from './weatherProviders.js';
+import PowerModel from './PowerModel.js';
+import { movingAverage, kalmanSmooth } from './trackFilters.js';
+import { sampleDEM } from './demReader.js';
+import { toCSV, toGeoJSON, toGPX } from './trackExporter.js';
+import {
+    encodePolyline,
+    decodePolyline,
+    encodeSeries,
+    decodeSeries,
+    compressToBase64Url,
+    decompressFromBase64Url
+} from './shareState.js';
+
+// Optional weather values carried alongside wind by providers and points
+const WEATHER_FIELDS = ["wind_gusts", "temperature", "humidity", "precipitation", "pressure"];
+
+// Version prefix of share link payloads (see encodeShareState)
+const SHARE_FORMAT = "v1";
+
+// Options a share link carries, each with a check of the values it accepts
+const isNumberIn = (min, max) => (value) => Number.isFinite(value) && value >= min && value <= max;
+const SHARED_OPTIONS = {
+    windSampling: (value) => ["time", "time-distance"].includes(value),
+    sampleDistanceKm: isNumberIn(0.1, 1000),
+    cda: isNumberIn(0.01, 5),
+    totalMass: isNumberIn(1, 1000),
+    crr: isNumberIn(0, 1),
+    crosswindThreshold: isNumberIn(0, 200),
+    stopSpeedThreshold: isNumberIn(0, 100),
+    minStopDuration: isNumberIn(0, 86400),
+    rejectOutliers: (value) => typeof value === "boolean",
+    smoothing: (value) => ["none", "moving-average", "kalman"].includes(value),
+    smoothingWindow: isNumberIn(0, 3600),
+    bearingWindow: isNumberIn(0, 10000),
+    elevationSmoothing: isNumberIn(0, 10000),
+    plannedStartTime: (value) => value === null || Number.isFinite(value),
+    plannedSpeed: isNumberIn(1, 100),
+    riderHeight: isNumberIn(0.1, 100),
+    roughnessLength: isNumberIn(0.0001, 10),
+    roughnessSegments: (value) => Array.isArray(value) && value.length <= 1000 && value.every(segment =>
+        Number.isFinite(segment?.startKm) && Number.isFinite(segment?.endKm) &&
+        isNumberIn(0.0001, 10)(segment.roughnessLength))
+};
+
+// Summary stats a share link carries (see calculateRouteStatistics); the
+// nullable ones are missing when the ride had no weather or sensor data
+const SHARED_STATS = [
+    "totalDistance", "totalTime", "avgSpeed", "avgWindFaced", "maxHeadwind", "maxTailwind", "avgWindSpeed",
+    "headwindPercentage", "elapsedTime", "movingTime", "stoppedTime", "stopCount", "movingAvgSpeed",
+    "totalAscent", "totalDescent", "minElevation", "maxElevation", "maxGrade", "minGrade",
+    "windEnergyKJ", "headwindCostKJ", "tailwindGainKJ", "avgWindPower",
+    "neutralTime", "neutralTimeDelta", "neutralAvgSpeed",
+    "maxCrosswind", "avgCrosswind", "crosswindExposureTime", "crosswindExposurePercentage"
+];
+const SHARED_NULLABLE_STATS = [
+    "avgTemperature", "minTemperature", "maxTemperature", "maxGust", "avgHumidity", "avgPressure",
+    "totalPrecipitation", "avgMeasuredPower", "avgHeartRate", "avgCadence",
+    "powerHeadwindSlope", "powerHeadwindCorrelation"
+];
+
+// Numeric fields of the wind samples in a share link; time, wind_speed and
+// wind_direction are required
+const SHARED_WIND_FIELDS = ["time", "lat", "lon", "distance_km", "wind_speed", "wind_direction", ...WEATHER_FIELDS];
+
+// Ranking criteria for recommendStartTimes: the candidate field to minimise
+const RECOMMENDATION_METRICS = {
+    windEnergy: "windEnergyKJ",
+    headwind: "avgWindFaced"
+};
+
+// DOM-free analysis pipeline: parse → enrich → wind → stats.
+// Every method takes plain text/arrays and returns plain data, so the same
+// code runs in the browser (via CyclistWindAnalyzer) and in Node.
+class WindAnalysisCore {
+    constructor({ weatherProvider = new OpenMeteoProvider(), ...options } = {}) {
+        // Constants for better maintainability
+        this.CONSTANTS = {
+            MAX_REALISTIC_SPEED: 100, // km/h
+            MIN_MOVEMENT_THRESHOLD: 1, // meters
+            WIND_FETCH_INTERVAL: 30 * 60 * 1000, // 30 minutes
+            WEATHER_CLUSTER_RADIUS: 5, // km within which samples share one weather location
+            GRADE_WINDOW: 100, // meters of climb history used to estimate grade
+            MAX_GRADE: 0.3,
+            ELEVATION_HYSTERESIS: 3, // meters of change before ascent/descent is counted
+            MIN_SHELTER_FACTOR: 0.2, // lowest fraction of reference-height wind reaching the rider
+            GPS_ACCURACY: 5, // meters, position noise assumed by the Kalman filter
+            KALMAN_ACCELERATION: 1, // m/s², how quickly the Kalman filter lets speed change
+            MAX_OUTLIER_RUN: 5, // consecutive rejected points before the track is trusted again
+            RECOMMENDATION_SPACING: 50, // meters between route points evaluated per start time
+            ROUTE_MATCH_WINDOW: 2, // km ahead of the last match searched when aligning rides
+            MAX_ROUTE_OFFSET: 200, // meters from the reference route before a point counts as off route
+            MAX_COMPARISON_SECTIONS: 20, // sections in an automatic ride comparison
+            SEGMENT_TOLERANCE: 30, // meters a ride may pass from a segment's start/end points
+            SEGMENT_LENGTH_TOLERANCE: 0.25, // fraction an effort's distance may differ from the segment's
+            SHARE_MAX_POINTS: 500, // route points kept in a share link, besides segment and stop ends
+            HISTORY_MAX_POINTS: 3000, // route points kept per ride in the ride history, likewise
+            SHARE_WIND_MARGIN: 2, // hours of wind series kept either side of the ride in a share link
+            DEFAULT_WIND_SPEED: 10,
+            DEFAULT_WIND_DIRECTION: 180
+        };
+
+        // User-configurable analysis options (see setOptions)
+        this.options = {
+            windSampling: "time", // "time" or "time-distance"
+            sampleDistanceKm: 10,
+            cda: 0.32, // m²
+            totalMass: 85, // kg, rider + bike
+            crr: 0.005,
+            crosswindThreshold: 20, // km/h
+            stopSpeedThreshold: 3, // km/h, slower counts as standing still
+            minStopDuration: 60, // seconds below stopSpeedThreshold before it is a stop
+            rejectOutliers: true, // drop fixes implying speeds above MAX_REALISTIC_SPEED
+            smoothing: "none", // "none", "moving-average" or "kalman" for position; speed always gets the moving average
+            smoothingWindow: 10, // seconds, moving-average window (also for speed under "kalman")
+            bearingWindow: 20, // meters of track each bearing is measured over (0 = point to point)
+            elevationSmoothing: 50, // meters, moving-average window for elevation (0 = off)
+            plannedStartTime: null, // Date: planning mode, recorded times are replaced (see synthesizeTimestamps)
+            plannedSpeed: 25, // km/h, average speed assumed in planning mode
+            riderHeight: 1.5, // meters above ground
+            roughnessLength: 0.1, // meters, terrain roughness for the whole ride
+            roughnessSegments: [], // [{ startKm, endKm, roughnessLength }] overriding it
+            ...options
+        };
+
+        // Typical aerodynamic roughness lengths (m) for the terrain presets
+        this.ROUGHNESS_PRESETS = {
+            water: { label: "Open water / coast", roughnessLength: 0.0002 },
+            farmland: { label: "Open farmland", roughnessLength: 0.03 },
+            countryside: { label: "Mixed countryside", roughnessLength: 0.1 },
+            suburbs: { label: "Suburbs / villages", roughnessLength: 0.5 },
+            forest: { label: "Forest", roughnessLength: 1.0 },
+            city: { label: "City centre", roughnessLength: 2.0 }
+        };
+
+        this.weatherProvider = weatherProvider;
+
+        // Optional DEM tile (see demReader.js) replacing recorded elevation
+        this.elevationModel = null;
+    }
+
+    setOptions(options = {}) {
+        Object.assign(this.options, options);
+    }
+
+    // Swap the source of wind data (see weatherProviders.js for the interface)
+    setWeatherProvider(provider) {
+        if (!provider || typeof provider.getWindSeries !== "function") {
+            throw new Error("Weather provider must implement getWindSeries(lat, lon, startTime, endTime)");
+        }
+        this.weatherProvider = provider;
+        console.log(`Using weather provider: ${provider.name || "custom"}`);
+    }
+
+    // Use a DEM grid from demReader.js for the elevation of every following
+    // file; null goes back to the recorded elevation
+    setElevationModel(grid) {
+        this.elevationModel = grid;
+        console.log(grid ? `Using elevation model (${grid.width}x${grid.height} cells)` : "Using recorded elevation");
+    }
+
+    // Full pipeline for a GPX document, returning enriched points, wind samples and stats
+    async analyzeGPX(text, options = {}) {
+        return this.analyzePoints(this.parseGPX(text), options);
+    }
+
+    // Same as analyzeGPX for the bytes of a FIT file
+    async analyzeFIT(buffer, options = {}) {
+        return this.analyzePoints(this.parseFIT(buffer), options);
+    }
+
+    // Same for any supported format (see parseTrack)
+    async analyzeTrack(data, format, options = {}) {
+        return this.analyzePoints(this.parseTrack(data, format), options);
+    }
+
+    async analyzePoints(points, { onProgress } = {}) {
+        const stops = this.detectStops(points);
+        const windData = await this.getWindData(points, onProgress);
+        return this.applyWindData(points, windData, stops);
+    }
+
+    // Rest of the pipeline once the wind samples are known, fetched or
+    // taken from a share link
+    applyWindData(points, windData, stops = this.detectStops(points)) {
+        this.interpolateWindAlongRoute(points, windData);
+        this.calculateWindPower(points);
+        this.calculateWindNeutralSpeed(points);
+        const stats = this.calculateRouteStatistics(points);
+
+        return { points, windData, stats, stops };
+    }
+
+    // Analyzed points as a file for other tools (see trackExporter.js);
+    // format is "csv", "geojson" or "gpx". Returns { content, mimeType, extension }.
+    exportTrack(points, format, { name = "", stats = null, pointFeatures = false } = {}) {
+        switch (format) {
+            case "csv":
+                return { content: toCSV(points), mimeType: "text/csv", extension: "csv" };
+            case "geojson":
+                return { content: toGeoJSON(points, { name, stats, pointFeatures }), mimeType: "application/geo+json", extension: "geojson" };
+            case "gpx":
+                return { content: toGPX(points, { name }), mimeType: "application/gpx+xml", extension: "gpx" };
+            default:
+                throw new Error(`Unsupported export format: ${format}`);
+        }
+    }
+
+    // trackIndex limits the result to one <trk> (see listGPXTracks); by
+    // default all tracks are returned, each segment kept contiguous
+    parseGPX(text, { trackIndex = null } = {}) {
+        const xmlDoc = this.parseGPXDocument(text);
+        const points = this.extractGPXPoints(xmlDoc, trackIndex);
+
+        if (points.length === 0) {
+            throw new Error("No valid GPS points with coordinates found in file");
+        }
+
+        return this.preparePoints(points);
+    }
+
+    parseGPXDocument(text) {
+        try {
+            return parseXML(text);
+        } catch (error) {
+            console.warn("XML parsing error:", error.message);
+            throw new Error("Invalid GPX file format");
+        }
+    }
+
+    // Tracks in a GPX document as [{ index, name, segmentCount, startTime, endTime }]
+    listGPXTracks(text) {
+        const tracks = this.findGPXTracks(this.parseGPXDocument(text));
+
+        return tracks.map((track, index) => {
+            const firstSegment = track.segments[0];
+            const lastSegment = track.segments[track.segments.length - 1];
+
+            return {
+                index,
+                name: track.name || `Track ${index + 1}`,
+                segmentCount: track.segments.length,
+                startTime: this.extractTimestamp(firstSegment[0], 0),
+                endTime: this.extractTimestamp(lastSegment[lastSegment.length - 1], 0)
+            };
+        });
+    }
+
+    parseFIT(buffer) {
+        let messages;
+        try {
+            messages = decodeFIT(buffer);
+        } catch (error) {
+            console.warn("FIT decoding error:", error.message);
+            throw new Error("Invalid FIT file format");
+        }
+
+        const points = this.extractFITPoints(messages);
+
+        if (points.length === 0) {
+            throw new Error("No valid GPS points with coordinates found in file");
+        }
+
+        return this.preparePoints(points, "FIT");
+    }
+
+    // Records without a GPS fix (e.g. indoors or before lock) are skipped.
+    // Sensor values are kept as heart_rate, cadence, measured_power_w and
+    // device_temperature when the device recorded them.
+    extractFITPoints(messages) {
+        const records = getFITRecords(messages);
+        console.log(`Found ${records.length} FIT records`);
+
+        const points = [];
+        for (const record of records) {
+            if (!this.isValidCoordinate(record.lat, record.lon)) continue;
+
+            const point = {
+                lat: record.lat,
+                lon: record.lon,
+                elevation: record.altitude,
+                time: record.time
+            };
+            if (record.heart_rate != null) point.heart_rate = record.heart_rate;
+            if (record.cadence != null) point.cadence = record.cadence;
+            if (record.power != null) point.measured_power_w = record.power;
+            if (record.temperature != null) point.device_temperature = record.temperature;
+
+            points.push(point);
+        }
+
+        return points;
+    }
+
+    parseTCX(text) {
+        let xmlDoc;
+        try {
+            xmlDoc = parseXML(text);
+        } catch (error) {
+            console.warn("XML parsing error:", error.message);
+            throw new Error("Invalid TCX file format");
+        }
+
+        const trackpoints = findAll(xmlDoc, "Trackpoint");
+        console.log(`Found ${trackpoints.length} TCX trackpoints`);
+
+        if (trackpoints.length === 0) {
+            throw new Error("No GPS points found in TCX file. Please ensure your file contains an activity with trackpoints.");
+        }
+
+        // Activities map to tracks and each <Track> (a new one starts after a
+        // pause) to a segment, as for GPX
+        const activities = findAll(xmlDoc, "Activity");
+        const segments = [];
+        (activities.length > 0 ? activities : [xmlDoc]).forEach((activity, trackIndex) => {
+            for (const track of findAll(activity, "Track")) {
+                segments.push({ trackIndex, trackpoints: findChildren(track, "Trackpoint") });
+            }
+        });
+
+        const points = [];
+        segments.forEach(({ trackIndex, trackpoints }, segmentIndex) => {
+            for (const trackpoint of trackpoints) {
+                const position = findFirst(trackpoint, "Position");
+                const lat = parseFloat(textContent(findFirst(position || trackpoint, "LatitudeDegrees")));
+                const lon = parseFloat(textContent(findFirst(position || trackpoint, "LongitudeDegrees")));
+
+                // Trackpoints without position are common (pauses, sensor-only samples)
+                if (!this.isValidCoordinate(lat, lon)) continue;
+
+                const elevation = parseFloat(textContent(findFirst(trackpoint, "AltitudeMeters")));
+                const point = {
+                    lat,
+                    lon,
+                    elevation: isNaN(elevation) ? null : elevation,
+                    time: this.extractTimestamp(trackpoint, points.length, "Time"),
+                    track_index: trackIndex,
+                    segment_index: segmentIndex
+                };
+
+                const heartRate = parseFloat(textContent(findFirst(trackpoint, "HeartRateBpm")));
+                const cadence = parseFloat(textContent(findFirst(trackpoint, "Cadence")));
+                const power = parseFloat(textContent(findFirst(trackpoint, "Watts")));
+                if (!isNaN(heartRate)) point.heart_rate = heartRate;
+                if (!isNaN(cadence)) point.cadence = cadence;
+                if (!isNaN(power)) point.measured_power_w = power;
+
+                points.push(point);
+            }
+        });
+
+        if (points.length === 0) {
+            throw new Error("No valid GPS points with coordinates found in file");
+        }
+
+        return this.preparePoints(points, "TCX");
+    }
+
+    // LineString / MultiLineString features (or bare geometries). Times come
+    // from properties.coordTimes or properties.times (one entry per
+    // coordinate, nested per line for MultiLineString) or from a fourth
+    // coordinate value.
+    parseGeoJSON(text) {
+        let geojson;
+        try {
+            geojson = typeof text === "string" ? JSON.parse(text) : text;
+        } catch (error) {
+            console.warn("JSON parsing error:", error.message);
+            throw new Error("Invalid GeoJSON file format");
+        }
+
+        const features = geojson?.type === "FeatureCollection"
+            ? geojson.features || []
+            : [geojson?.type === "Feature" ? geojson : { geometry: geojson, properties: {} }];
+
+        // Features map to tracks and lines to segments, as for GPX
+        const points = [];
+        let trackIndex = 0;
+        let segmentIndex = 0;
+        for (const feature of features) {
+            const geometry = feature?.geometry;
+            if (!geometry) continue;
+
+            const properties = feature.properties || {};
+            const times = properties.coordTimes || properties.times || [];
+
+            let lines;
+            if (geometry.type === "LineString") {
+                lines = [{ coordinates: geometry.coordinates, times }];
+            } else if (geometry.type === "MultiLineString") {
+                lines = geometry.coordinates.map((coordinates, i) => ({ coordinates, times: times[i] || [] }));
+            } else {
+                continue;
+            }
+
+            for (const line of lines) {
+                line.coordinates.forEach(([lon, lat, elevation, time], i) => {
+                    if (!this.isValidCoordinate(lat, lon)) return;
+
+                    points.push({
+                        lat,
+                        lon,
+                        elevation: typeof elevation === "number" ? elevation : null,
+                        time: this.parseTimestamp(line.times[i] ?? time, points.length),
+                        track_index: trackIndex,
+                        segment_index: segmentIndex
+                    });
+                });
+                segmentIndex++;
+            }
+            trackIndex++;
+        }
+
+        console.log(`Found ${points.length} GeoJSON coordinates`);
+
+        if (points.length === 0) {
+            throw new Error("No LineString coordinates found in GeoJSON file");
+        }
+
+        return this.preparePoints(points, "GeoJSON");
+    }
+
+    // "gpx", "fit", "tcx" or "geojson" from the file name, falling back to
+    // sniffing the first bytes; null when the format is not recognised
+    detectTrackFormat(fileName, bytes) {
+        const extension = (fileName || "").toLowerCase().split(".").pop();
+        if (["gpx", "fit", "tcx", "geojson"].includes(extension)) {
+            return extension;
+        }
+
+        if (!bytes) return null;
+
+        if (bytes.length >= 12 && String.fromCharCode(...bytes.subarray(8, 12)) === ".FIT") {
+            return "fit";
+        }
+
+        const head = new TextDecoder().decode(bytes.subarray(0, 4096)).trimStart();
+        if (head.startsWith("{")) return "geojson";
+        if (head.includes("<TrainingCenterDatabase")) return "tcx";
+        if (head.includes("<gpx")) return "gpx";
+
+        return null;
+    }
+
+    // Parse any supported format; FIT takes bytes, the others text
+    parseTrack(data, format) {
+        switch (format) {
+            case "gpx": return this.parseGPX(data);
+            case "fit": return this.parseFIT(data);
+            case "tcx": return this.parseTCX(data);
+            case "geojson": return this.parseGeoJSON(data);
+            default: throw new Error(`Unsupported track format: ${format}`);
+        }
+    }
+
+    // Shared tail of every parser: validate, order by time, filter GPS noise
+    // and derive speed and bearing. Outlier rejection may drop points, so
+    // callers must use the returned array.
+    preparePoints(points, format = "GPX") {
+        if (this.options.plannedStartTime) {
+            this.synthesizeTimestamps(points);
+        }
+
+        // Validate timestamps
+        this.validateTimestamps(points, format);
+
+        // Sort by time, keeping each track segment contiguous
+        const segmentStart = new Map();
+        for (const point of points) {
+            const segment = point.segment_index ?? 0;
+            const time = point.time?.getTime();
+            if (time != null && !(segmentStart.get(segment) <= time)) {
+                segmentStart.set(segment, time);
+            }
+        }
+        const startOf = (point) => segmentStart.get(point.segment_index ?? 0) ?? 0;
+        points.sort((a, b) =>
+            startOf(a) - startOf(b) ||
+            (a.segment_index ?? 0) - (b.segment_index ?? 0) ||
+            a.time - b.time
+        );
+
+        console.log(`Time range: ${points[0].time.toISOString()} to ${points[points.length - 1].time.toISOString()}`);
+
+        if (this.options.rejectOutliers) {
+            points = this.rejectOutliers(points);
+        }
+        this.smoothPositions(points);
+        this.calculateSpeedAndBearing(points);
+        this.smoothSpeeds(points);
+        this.smoothBearings(points);
+        this.prepareElevation(points);
+
+        console.log(`Successfully loaded ${points.length} GPS points from file`);
+        return points;
+    }
+
+    // Elevation stage of preparePoints: fill gaps, correct from the DEM,
+    // smooth and derive grade_pct
+    prepareElevation(points) {
+        this.fillMissingElevations(points);
+        if (this.elevationModel) {
+            this.correctElevationFromDEM(points);
+        }
+        this.smoothElevation(points);
+        this.calculateGrades(points);
+    }
+
+    // Linear interpolation over distance for points without elevation; the
+    // ends take the nearest known value, and tracks without any get 0
+    fillMissingElevations(points) {
+        const known = [];
+        points.forEach((point, i) => {
+            if (point.elevation != null && !isNaN(point.elevation)) known.push(i);
+        });
+
+        if (known.length === 0) {
+            points.forEach(point => { point.elevation = 0; });
+            console.warn("Track has no elevation data");
+            return;
+        }
+        if (known.length === points.length) return;
+
+        let next = 0;
+        for (let i = 0; i < points.length; i++) {
+            while (next < known.length && known[next] < i) next++;
+            if (known[next] === i) continue;
+
+            const before = points[known[next - 1]];
+            const after = points[known[next]];
+            if (!before || !after) {
+                points[i].elevation = (before || after).elevation;
+                continue;
+            }
+
+            const span = after.distance_km - before.distance_km;
+            const ratio = span > 0 ? (points[i].distance_km - before.distance_km) / span : 0;
+            points[i].elevation = before.elevation + (after.elevation - before.elevation) * ratio;
+        }
+
+        console.log(`Interpolated elevation for ${points.length - known.length} points`);
+    }
+
+    // Replace elevation with the DEM wherever the tile covers the track
+    correctElevationFromDEM(points) {
+        let corrected = 0;
+        for (const point of points) {
+            const elevation = sampleDEM(this.elevationModel, point.lat, point.lon);
+            if (elevation !== null) {
+                point.elevation = elevation;
+                corrected++;
+            }
+        }
+
+        console.log(`Corrected elevation from DEM for ${corrected} of ${points.length} points`);
+        if (corrected < points.length) {
+            console.warn("Part of the track lies outside the elevation tile and keeps its recorded elevation");
+        }
+    }
+
+    // Moving average over elevationSmoothing meters of track per segment
+    smoothElevation(points) {
+        const window = this.options.elevationSmoothing;
+        if (!(window > 0)) return;
+
+        for (const [start, end] of this.getSegmentRanges(points)) {
+            const segment = points.slice(start, end);
+            const smoothed = movingAverage(
+                segment.map(p => p.distance_km * 1000),
+                segment.map(p => p.elevation),
+                window
+            );
+            segment.forEach((point, i) => {
+                point.elevation = smoothed[i];
+            });
+        }
+    }
+
+    // grade_pct: rise over run between the points GRADE_WINDOW/2 meters
+    // before and after each point, clamped to MAX_GRADE
+    calculateGrades(points) {
+        const halfWindow = this.CONSTANTS.GRADE_WINDOW / 2 / 1000; // km
+        const maxGrade = this.CONSTANTS.MAX_GRADE * 100;
+
+        for (const [start, end] of this.getSegmentRanges(points)) {
+            let back = start;
+            let ahead = start;
+
+            for (let i = start; i < end; i++) {
+                const distance = points[i].distance_km;
+
+                while (back < i && points[back + 1].distance_km <= distance - halfWindow) back++;
+                if (ahead < i) ahead = i;
+                while (ahead < end - 1 && points[ahead].distance_km < distance + halfWindow) ahead++;
+
+                const run = (points[ahead].distance_km - points[back].distance_km) * 1000;
+                const grade = run > 0
+                    ? (points[ahead].elevation - points[back].elevation) / run * 100
+                    : 0;
+                points[i].grade_pct = Math.max(-maxGrade, Math.min(maxGrade, grade));
+            }
+        }
+    }
+
+    // [start, end) index ranges of the track segments in points
+    getSegmentRanges(points) {
+        const ranges = [];
+        let start = 0;
+        for (let i = 1; i <= points.length; i++) {
+            if (i === points.length || this.isSegmentStart(points, i)) {
+                ranges.push([start, i]);
+                start = i;
+            }
+        }
+        return ranges;
+    }
+
+    // Drop fixes that repeat a timestamp or would need more than
+    // MAX_REALISTIC_SPEED to reach from the last accepted fix. After
+    // MAX_OUTLIER_RUN rejections in a row the next fix is accepted anyway,
+    // so one bad anchor point cannot swallow the rest of the track.
+    rejectOutliers(points) {
+        const kept = [];
+        let rejectedRun = 0;
+
+        for (let i = 0; i < points.length; i++) {
+            const curr = points[i];
+            const last = kept[kept.length - 1];
+
+            if (!last || (last.segment_index ?? 0) !== (curr.segment_index ?? 0)) {
+                kept.push(curr);
+                rejectedRun = 0;
+                continue;
+            }
+
+            const timeDiff = (curr.time - last.time) / 1000;
+            const distance = this.haversineDistance(last.lat, last.lon, curr.lat, curr.lon);
+            const speedKmh = timeDiff > 0 ? distance / timeDiff * 3.6 : Infinity;
+
+            if (speedKmh > this.CONSTANTS.MAX_REALISTIC_SPEED && rejectedRun < this.CONSTANTS.MAX_OUTLIER_RUN) {
+                rejectedRun++;
+                continue;
+            }
+
+            kept.push(curr);
+            rejectedRun = 0;
+        }
+
+        if (kept.length < points.length) {
+            console.log(`Rejected ${points.length - kept.length} GPS outliers`);
+        }
+        return kept;
+    }
+
+    // Smooth lat/lon per segment with the configured method. Positions are
+    // filtered in a local metric projection so both axes share the same noise.
+    smoothPositions(points) {
+        const { smoothing, smoothingWindow } = this.options;
+        if (smoothing !== "kalman" && smoothing !== "moving-average") return;
+
+        const metersPerDegree = 6371000 * Math.PI / 180;
+
+        for (const [start, end] of this.getSegmentRanges(points)) {
+            const segment = points.slice(start, end);
+            const lat0 = segment[0].lat;
+            const lon0 = segment[0].lon;
+            const lonScale = Math.cos(this.toRadians(lat0));
+
+            const times = segment.map(p => p.time.getTime());
+            const xs = segment.map(p => (p.lon - lon0) * lonScale * metersPerDegree);
+            const ys = segment.map(p => (p.lat - lat0) * metersPerDegree);
+
+            const filter = smoothing === "kalman"
+                ? (values) => kalmanSmooth(times, values, {
+                    accelerationNoise: this.CONSTANTS.KALMAN_ACCELERATION,
+                    measurementNoise: this.CONSTANTS.GPS_ACCURACY
+                })
+                : (values) => movingAverage(times, values, smoothingWindow * 1000);
+
+            const smoothX = filter(xs);
+            const smoothY = filter(ys);
+
+            segment.forEach((point, i) => {
+                point.lat = lat0 + smoothY[i] / metersPerDegree;
+                point.lon = lon0 + smoothX[i] / (lonScale * metersPerDegree);
+            });
+        }
+
+        console.log(`Smoothed GPS positions (${smoothing})`);
+    }
+
+    // Moving average of speed_kmh per segment, whichever smoothing is set:
+    // speed is derived from positions, so the Kalman filter alone leaves the
+    // step-to-step noise in it. Segment starts keep their 0.
+    smoothSpeeds(points) {
+        const { smoothing, smoothingWindow } = this.options;
+        if (smoothing === "none" || !(smoothingWindow > 0)) return;
+
+        for (const [start, end] of this.getSegmentRanges(points)) {
+            const from = start + 1;
+            if (end - from < 2) continue;
+
+            const segment = points.slice(from, end);
+            const smoothed = movingAverage(
+                segment.map(p => p.time.getTime()),
+                segment.map(p => p.speed_kmh),
+                smoothingWindow * 1000
+            );
+            segment.forEach((point, i) => {
+                point.speed_kmh = smoothed[i];
+            });
+        }
+    }
+
+    // Replace point-to-point bearings with the direction between the track
+    // positions bearingWindow/2 meters before and after each point. On slow
+    // climbs consecutive fixes are only a few meters apart and their bearing
+    // is mostly GPS noise.
+    smoothBearings(points) {
+        const halfWindow = this.options.bearingWindow / 2 / 1000; // km
+        if (!(halfWindow > 0)) return;
+
+        for (const [start, end] of this.getSegmentRanges(points)) {
+            const bearings = new Array(end - start);
+            let back = start;
+            let ahead = start;
+
+            for (let i = start; i < end; i++) {
+                const distance = points[i].distance_km;
+
+                while (back < i && points[back + 1].distance_km <= distance - halfWindow) back++;
+                if (ahead < i) ahead = i;
+                while (ahead < end - 1 && points[ahead].distance_km < distance + halfWindow) ahead++;
+
+                const from = points[back];
+                const to = points[ahead];
+                const span = this.haversineDistance(from.lat, from.lon, to.lat, to.lon);
+
+                bearings[i - start] = span > this.CONSTANTS.MIN_MOVEMENT_THRESHOLD
+                    ? this.calculateBearing(from.lat, from.lon, to.lat, to.lon)
+                    : points[i].bearing;
+            }
+
+            bearings.forEach((bearing, offset) => {
+                points[start + offset].bearing = bearing;
+            });
+        }
+    }
+
+    // Points tagged with track_index (position of their <trk>) and
+    // segment_index (running number of their <trkseg> across the file)
+    extractGPXPoints(xmlDoc, trackIndex = null) {
+        const points = [];
+        const tracks = this.findGPXTracks(xmlDoc);
+
+        if (tracks.length === 0) {
+            throw new Error("No GPS points found in GPX file. Please ensure your file contains track points, route points, or waypoints.");
+        }
+
+        let segmentIndex = 0;
+        tracks.forEach((track, index) => {
+            for (const segment of track.segments) {
+                if (trackIndex === null || trackIndex === index) {
+                    for (const point of segment) {
+                        const lat = parseFloat(point.attributes.lat);
+                        const lon = parseFloat(point.attributes.lon);
+
+                        // Validate coordinates
+                        if (!this.isValidCoordinate(lat, lon)) {
+                            console.warn("Skipping point with invalid coordinates:", { lat, lon });
+                            continue;
+                        }
+
+                        const elevation = this.extractElevation(point);
+                        const time = this.extractTimestamp(point, points.length);
+
+                        points.push({
+                            lat,
+                            lon,
+                            elevation,
+                            time,
+                            track_index: index,
+                            segment_index: segmentIndex,
+                            ...this.extractSensorData(point)
+                        });
+                    }
+                }
+                segmentIndex++;
+            }
+        });
+
+        return points;
+    }
+
+    // [{ name, segments: [[pointNode]] }] from tracks, else routes, else waypoints
+    findGPXTracks(xmlDoc) {
+        const nameOf = (node) => textContent(findChildren(node, "name")[0]).trim();
+
+        const tracks = findAll(xmlDoc, "trk")
+            .map(trk => {
+                let segments = findChildren(trk, "trkseg").map(seg => findChildren(seg, "trkpt"));
+                if (segments.length === 0) segments = [findAll(trk, "trkpt")];
+                return { name: nameOf(trk), segments: segments.filter(seg => seg.length > 0) };
+            })
+            .filter(track => track.segments.length > 0);
+
+        if (tracks.length > 0) {
+            console.log(`Found ${tracks.length} track(s) with ${tracks.reduce((n, t) => n + t.segments.length, 0)} segment(s)`);
+            return tracks;
+        }
+
+        const routes = findAll(xmlDoc, "rte")
+            .map(rte => ({ name: nameOf(rte), segments: [findChildren(rte, "rtept")] }))
+            .filter(route => route.segments[0].length > 0);
+
+        if (routes.length > 0) {
+            console.log(`Found ${routes.length} route(s)`);
+            return routes;
+        }
+
+        const waypoints = findAll(xmlDoc, "wpt");
+        console.log(`Found ${waypoints.length} wpt points`);
+        return waypoints.length > 0 ? [{ name: "", segments: [waypoints] }] : [];
+    }
+
+    // Sensor values from <extensions>: Garmin TrackPointExtension (hr, cad,
+    // atemp) and the power elements written by Strava, Wahoo and others
+    extractSensorData(point) {
+        const extensions = findFirst(point, "extensions");
+        if (!extensions) return {};
+
+        const read = (...names) => {
+            for (const name of names) {
+                const value = parseFloat(textContent(findFirst(extensions, name)));
+                if (!isNaN(value)) return value;
+            }
+            return null;
+        };
+
+        const sensors = {};
+        const heartRate = read("hr", "heartrate");
+        const cadence = read("cad", "cadence");
+        const temperature = read("atemp", "temp");
+        const power = read("power", "PowerInW", "watts");
+
+        if (heartRate !== null) sensors.heart_rate = heartRate;
+        if (cadence !== null) sensors.cadence = cadence;
+        if (temperature !== null) sensors.device_temperature = temperature;
+        if (power !== null) sensors.measured_power_w = power;
+        return sensors;
+    }
+
+    isValidCoordinate(lat, lon) {
+        return lat && lon &&
+            !isNaN(lat) && !isNaN(lon) &&
+            lat >= -90 && lat <= 90 &&
+            lon >= -180 && lon <= 180;
+    }
+
+    extractElevation(point) {
+        const eleText = textContent(findFirst(point, "ele"));
+        if (eleText) {
+            const eleValue = parseFloat(eleText);
+            return !isNaN(eleValue) ? eleValue : null;
+        }
+        return null; // filled in by fillMissingElevations
+    }
+
+    extractTimestamp(point, pointIndex, tagName = "time") {
+        return this.parseTimestamp(textContent(findFirst(point, tagName)), pointIndex);
+    }
+
+    // Date from a timestamp string (or epoch number), or null when unparseable
+    parseTimestamp(timeText, pointIndex) {
+        if (typeof timeText === "number") {
+            // Epoch seconds or milliseconds
+            return new Date(timeText < 1e11 ? timeText * 1000 : timeText);
+        }
+
+        if (!timeText) {
+            return null;
+        }
+
+        try {
+            const timeString = timeText.trim();
+
+            let time = new Date(timeString);
+
+            // Handle invalid timestamps with fallback parsing
+            if (isNaN(time.getTime())) {
+                time = this.parseAlternativeTimeFormats(timeString);
+            }
+
+            return isNaN(time.getTime()) ? null : time;
+        } catch (error) {
+            console.warn(`Error parsing time for point ${pointIndex}:`, error);
+            return null;
+        }
+    }
+
+    parseAlternativeTimeFormats(timeString) {
+        // Try ISO format variations
+        if (timeString.includes("T") && !timeString.includes("Z") && !timeString.includes("+")) {
+            return new Date(timeString + "Z");
+        }
+
+        // Try space-separated format
+        if (timeString.match(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/)) {
+            return new Date(timeString.replace(" ", "T") + "Z");
+        }
+
+        return new Date(NaN); // Invalid date
+    }
+
+    // Planning mode: time every point as if the route were ridden at
+    // plannedSpeed from plannedStartTime, in file order. Recorded times are
+    // ignored, so past rides can be replanned as well as untimed routes.
+    synthesizeTimestamps(points, startTime = this.options.plannedStartTime, speedKmh = this.options.plannedSpeed) {
+        const start = new Date(startTime).getTime();
+        if (isNaN(start)) {
+            throw new Error("Invalid planned start time");
+        }
+        if (!(speedKmh > 0)) {
+            throw new Error("Planned speed must be greater than 0 km/h");
+        }
+
+        const metersPerSecond = speedKmh / 3.6;
+        let elapsedSeconds = 0;
+
+        points.forEach((point, i) => {
+            if (i > 0) {
+                const prev = points[i - 1];
+                elapsedSeconds += this.haversineDistance(prev.lat, prev.lon, point.lat, point.lon) / metersPerSecond;
+            }
+            point.time = new Date(start + Math.round(elapsedSeconds * 1000));
+        });
+
+        console.log(`Planned ride: ${(elapsedSeconds / 3600).toFixed(1)} h at ${speedKmh} km/h from ${new Date(start).toISOString()}`);
+    }
+
+    // Copy of a planned route timed from startTime, optionally ridden in the
+    // opposite direction, with speed, bearing and grade derived again.
+    // Wind and power fields are left for the caller to recompute.
+    retimeRoute(points, { reversed = false, startTime = this.options.plannedStartTime } = {}) {
+        const route = points.map(point => ({ ...point }));
+        if (reversed) {
+            route.reverse();
+        }
+
+        this.synthesizeTimestamps(route, startTime);
+        this.calculateSpeedAndBearing(route);
+        this.smoothBearings(route);
+        this.calculateGrades(route);
+        return route;
+    }
+
+    // Candidate start times on each of the next `days` days (local time),
+    // every stepHours from firstHour to lastHour, skipping those already past
+    createStartTimeGrid({ from = new Date(), days = 3, firstHour = 6, lastHour = 18, stepHours = 1 } = {}) {
+        const startTimes = [];
+        const day = new Date(from);
+        day.setHours(0, 0, 0, 0);
+
+        for (let d = 0; d < days; d++) {
+            for (let hour = firstHour; hour <= lastHour; hour += stepHours) {
+                const start = new Date(day);
+                start.setHours(hour);
+                if (start > from) startTimes.push(start);
+            }
+            day.setDate(day.getDate() + 1);
+        }
+
+        return startTimes;
+    }
+
+    // Rank start times and both riding directions of a planned route by the
+    // wind of the current provider (usually a forecast). metric is
+    // "windEnergy" (kJ the wind costs) or "headwind" (average wind faced).
+    // Every location's series is fetched once for the whole search window,
+    // then each candidate is evaluated on a thinned copy of the route.
+    // Resolves to { metric, field, candidates: [{ startTime, endTime, reversed,
+    // windEnergyKJ, avgWindFaced, headwindPercentage, maxHeadwind }], best }
+    // where field is the candidate value that was ranked.
+    async recommendStartTimes(points, { startTimes, metric = "windEnergy", onProgress = () => {} } = {}) {
+        const field = RECOMMENDATION_METRICS[metric];
+        if (!field) {
+            throw new Error(`Unknown ranking metric: ${metric}`);
+        }
+        if (!startTimes?.length) {
+            throw new Error("No start times to compare");
+        }
+
+        // Every RECOMMENDATION_SPACING meters plus segment boundaries
+        const spacingKm = this.CONSTANTS.RECOMMENDATION_SPACING / 1000;
+        const thinned = points.filter((point, i) =>
+            i === 0 ||
+            i === points.length - 1 ||
+            this.isSegmentStart(points, i) ||
+            this.isSegmentStart(points, i + 1) ||
+            Math.floor(point.distance_km / spacingKm) > Math.floor(points[i - 1].distance_km / spacingKm)
+        );
+
+        const directions = [false, true].map(reversed => ({
+            reversed,
+            route: this.retimeRoute(thinned, { reversed, startTime: startTimes[0] })
+        }));
+        const forward = directions[0].route;
+        const duration = forward[forward.length - 1].time - forward[0].time;
+
+        // Drop start times the provider cannot cover (e.g. beyond the forecast)
+        const provider = this.weatherProvider;
+        const usable = startTimes.filter(start => {
+            try {
+                provider.checkRange?.(start, new Date(start.getTime() + duration));
+                return true;
+            } catch (error) {
+                return false;
+            }
+        });
+        if (usable.length === 0) {
+            throw new Error(`None of the start times can be served by ${provider.name || "the weather provider"}`);
+        }
+
+        // One location every sampleDistanceKm, fetched for the whole window
+        const sampleKm = this.options.sampleDistanceKm > 0 ? this.options.sampleDistanceKm : 10;
+        const locations = forward.filter((point, i) =>
+            i === 0 ||
+            i === forward.length - 1 ||
+            Math.floor(point.distance_km / sampleKm) > Math.floor(forward[i - 1].distance_km / sampleKm)
+        );
+        const windowStart = new Date(Math.min(...usable));
+        const windowEnd = new Date(Math.max(...usable) + duration);
+
+        const seriesList = await this.fetchWindSeriesForSamples(
+            locations.flatMap(({ lat, lon }) => [{ lat, lon, time: windowStart }, { lat, lon, time: windowEnd }]),
+            onProgress
+        );
+        const locationSeries = locations.map((_, i) => seriesList[2 * i]);
+        if (locationSeries.every(series => !series)) {
+            throw new Error("No wind data available for the search window");
+        }
+
+        const totalKm = forward[forward.length - 1].distance_km;
+        const candidates = [];
+
+        for (const { reversed, route } of directions) {
+            // Series samples carry their own times, so one windData serves every start
+            const windData = locations.map((location, i) => ({
+                ...(locationSeries[i]
+                    ? { series: locationSeries[i] }
+                    : this.createDefaultWindData(windowStart, location)),
+                lat: location.lat,
+                lon: location.lon,
+                distance_km: reversed ? totalKm - location.distance_km : location.distance_km
+            }));
+            if (reversed) windData.reverse();
+
+            for (const startTime of usable) {
+                this.synthesizeTimestamps(route, startTime);
+                this.interpolateWindAlongRoute(route, windData);
+                this.calculateWindPower(route);
+
+                const windFaced = route.map(p => p.wind_faced);
+                candidates.push({
+                    startTime,
+                    endTime: route[route.length - 1].time,
+                    reversed,
+                    windEnergyKJ: this.calculateWindEnergy(route).windEnergyKJ,
+                    avgWindFaced: windFaced.reduce((sum, w) => sum + w, 0) / windFaced.length,
+                    headwindPercentage: windFaced.filter(w => w >= 0).length / windFaced.length * 100,
+                    maxHeadwind: Math.max(0, ...windFaced)
+                });
+
+                // Let the page repaint between candidates
+                await this.delay(0);
+            }
+        }
+
+        const best = candidates.reduce((a, b) => b[field] < a[field] ? b : a);
+        console.log(`Best of ${candidates.length} options: ${best.startTime.toISOString()}${best.reversed ? " (reversed)" : ""}, ${field} ${best[field].toFixed(1)}`);
+
+        return { metric, field, candidates, best };
+    }
+
+    validateTimestamps(points, format = "GPX") {
+        const hasValidTimes = points.some(p =>
+            p.time !== null &&
+            !isNaN(p.time.getTime()) &&
+            p.time.getFullYear() > 2000
+        );
+
+        console.log(`Valid timestamps found: ${hasValidTimes}`);
+        console.log(`Points with timestamps: ${points.filter(p => p.time !== null).length}/${points.length}`);
+
+        if (!hasValidTimes) {
+            throw new Error(`This ${format} file does not contain valid timestamps.
+
+Wind analysis requires GPS tracks with accurate time data to:
+• Fetch historical weather data for the correct date/time
+• Calculate cycling speeds and performance metrics
+• Provide meaningful wind impact analysis
+
+Please use a ${format} file that includes timestamp information for each GPS point. Most modern GPS devices and cycling computers (Garmin, Wahoo, etc.) automatically include this data.
+
+To see the forecast wind for a route you have not ridden yet, use planning mode with a start time and speed instead.
+
+If you recorded this track without timestamps, you may need to re-record your route or use a different ${format} file.`);
+        }
+    }
+
+    calculateSpeedAndBearing(points) {
+        let cumulativeDistance = 0;
+        console.log("Starting speed and bearing calculations...");
+
+        for (let i = 0; i < points.length; i++) {
+            if (i === 0) {
+                // Initialize first point
+                Object.assign(points[i], {
+                    speed_kmh: 0,
+                    bearing: 0,
+                    distance_km: 0
+                });
+                continue;
+            }
+
+            const prev = points[i - 1];
+            const curr = points[i];
+
+            // No speed or distance across the gap between two segments
+            if (this.isSegmentStart(points, i)) {
+                Object.assign(curr, {
+                    speed_kmh: 0,
+                    bearing: prev.bearing,
+                    distance_km: prev.distance_km
+                });
+                continue;
+            }
+
+            this.calculatePointMetrics(prev, curr, i, cumulativeDistance);
+            cumulativeDistance = curr.distance_km * 1000; // Convert back to meters for next iteration
+        }
+
+        this.logSpeedStatistics(points);
+        return points;
+    }
+
+    // True for the first point of every track segment after the first
+    isSegmentStart(points, index) {
+        return index > 0 && (points[index].segment_index ?? 0) !== (points[index - 1].segment_index ?? 0);
+    }
+
+    // Mark points ending a stopped interval (point.stopped) and return the
+    // stops as [{ startIndex, endIndex, startTime, endTime, duration, lat, lon }],
+    // duration in seconds. A stop is a run of intervals below
+    // stopSpeedThreshold lasting at least minStopDuration; gaps between
+    // segments and recording pauses count too.
+    detectStops(points) {
+        const { stopSpeedThreshold, minStopDuration } = this.options;
+        const stops = [];
+        let runStart = -1;
+
+        const closeRun = (end) => {
+            const duration = (points[end].time - points[runStart].time) / 1000;
+            if (duration < minStopDuration) return;
+
+            for (let i = runStart + 1; i <= end; i++) {
+                points[i].stopped = true;
+            }
+            stops.push({
+                startIndex: runStart,
+                endIndex: end,
+                startTime: points[runStart].time,
+                endTime: points[end].time,
+                duration,
+                lat: points[runStart].lat,
+                lon: points[runStart].lon
+            });
+        };
+
+        for (const point of points) {
+            point.stopped = false;
+        }
+
+        for (let i = 1; i < points.length; i++) {
+            const slow = this.isSegmentStart(points, i) || points[i].speed_kmh < stopSpeedThreshold;
+
+            if (slow && runStart < 0) {
+                runStart = i - 1;
+            } else if (!slow && runStart >= 0) {
+                closeRun(i - 1);
+                runStart = -1;
+            }
+        }
+
+        if (runStart >= 0) {
+            closeRun(points.length - 1);
+        }
+
+        console.log(`Detected ${stops.length} stops`);
+        return stops;
+    }
+
+    calculatePointMetrics(prev, curr, index, cumulativeDistance) {
+        // Calculate distance
+        const distance = this.haversineDistance(prev.lat, prev.lon, curr.lat, curr.lon);
+
+        // Update cumulative distance
+        cumulativeDistance += distance;
+        curr.distance_km = cumulativeDistance / 1000;
+
+        // Calculate time difference
+        const timeDiff = (curr.time - prev.time) / 1000; // seconds
+
+        // Calculate speed
+        curr.speed_kmh = this.calculateSpeed(distance, timeDiff, prev.speed_kmh);
+
+        // Calculate bearing
+        curr.bearing = this.calculatePointBearing(prev, curr, distance);
+    }
+
+    calculateSpeed(distance, timeDiff, prevSpeed = 0) {
+        if (timeDiff <= 0) {
+            console.warn(`Invalid time difference: ${timeDiff}s`);
+            return prevSpeed;
+        }
+
+        if (distance <= 0) {
+            return 0; // No movement
+        }
+
+        const speedMs = distance / timeDiff;
+        let speedKmh = speedMs * 3.6;
+
+        // Cap unrealistic speeds
+        if (speedKmh > this.CONSTANTS.MAX_REALISTIC_SPEED) {
+            console.warn(`Unrealistic speed detected: ${speedKmh.toFixed(1)} km/h, using previous speed`);
+            speedKmh = prevSpeed || 20; // Default to reasonable cycling speed
+        }
+
+        // Handle very low speeds that might indicate GPS errors
+        if (speedKmh < 0.1 && distance > 5) {
+            console.warn(`Very low speed detected: ${speedKmh.toFixed(1)} km/h for ${distance.toFixed(1)}m movement`);
+        }
+
+        return speedKmh;
+    }
+
+    calculatePointBearing(prev, curr, distance) {
+        // Only calculate bearing for significant movements
+        if (distance > this.CONSTANTS.MIN_MOVEMENT_THRESHOLD) {
+            return this.calculateBearing(prev.lat, prev.lon, curr.lat, curr.lon);
+        }
+        return prev.bearing || 0;
+    }
+
+    logSpeedStatistics(points) {
+        const speeds = points.map(p => p.speed_kmh).filter(s => s > 0);
+        const totalDistance = points[points.length - 1]?.distance_km || 0;
+
+        const stats = {
+            avgSpeed: speeds.length > 0 ? speeds.reduce((a, b) => a + b, 0) / speeds.length : 0,
+            maxSpeed: speeds.length > 0 ? Math.max(...speeds) : 0,
+            zeroSpeedPoints: points.filter(p => p.speed_kmh === 0).length
+        };
+
+        console.log(`Calculated speeds and bearings for ${points.length} points`);
+        console.log(`Total distance: ${totalDistance.toFixed(2)} km`);
+        console.log(`Average speed: ${stats.avgSpeed.toFixed(1)} km/h`);
+        console.log(`Max speed: ${stats.maxSpeed.toFixed(1)} km/h`);
+        console.log(`Points with zero speed: ${stats.zeroSpeedPoints}`);
+    }
+
+    haversineDistance(lat1, lon1, lat2, lon2) {
+        const R = 6371000; // Earth's radius in meters
+        const dLat = this.toRadians(lat2 - lat1);
+        const dLon = this.toRadians(lon2 - lon1);
+
+        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(this.toRadians(lat1)) * Math.cos(this.toRadians(lat2)) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+        return R * c;
+    }
+
+    calculateBearing(lat1, lon1, lat2, lon2) {
+        const dLon = this.toRadians(lon2 - lon1);
+        const lat1Rad = this.toRadians(lat1);
+        const lat2Rad = this.toRadians(lat2);
+
+        const y = Math.sin(dLon) * Math.cos(lat2Rad);
+        const x = Math.cos(lat1Rad) * Math.sin(lat2Rad) -
+            Math.sin(lat1Rad) * Math.cos(lat2Rad) * Math.cos(dLon);
+
+        let bearing = this.toDegrees(Math.atan2(y, x));
+        return (bearing + 360) % 360;
+    }
+
+    toRadians(degrees) {
+        return degrees * (Math.PI / 180);
+    }
+
+    toDegrees(radians) {
+        return radians * (180 / Math.PI);
+    }
+
+    // Fetch wind samples using the configured sampling mode. Samples stay at
+    // the provider's reference height; interpolateWindAlongRoute reduces the
+    // wind to rider height per point.
+    async getWindData(points, onProgress) {
+        // Limited providers (e.g. forecasts) reject the whole ride up front
+        // rather than leaving every sample on default wind
+        this.weatherProvider.checkRange?.(points[0].time, points[points.length - 1].time);
+
+        if (this.options.windSampling === "time-distance") {
+            return this.getWindDataAlongRoute(points, onProgress);
+        }
+        return this.getWindDataEvery30Min(points, onProgress);
+    }
+
+    // One wind sample every WIND_FETCH_INTERVAL, taken at the route point
+    // closest in time. onProgress(currentStep, totalSteps) is called after
+    // each weather request.
+    async getWindDataEvery30Min(points, onProgress = () => {}) {
+        const startTime = points[0].time;
+        const endTime = points[points.length - 1].time;
+        const interval = this.CONSTANTS.WIND_FETCH_INTERVAL;
+
+        const samples = [];
+        for (let time = startTime.getTime(); time <= endTime.getTime(); time += interval) {
+            const closestPoint = this.findClosestGPXPoint(points, new Date(time));
+            samples.push({ lat: closestPoint.lat, lon: closestPoint.lon, time: new Date(time) });
+        }
+
+        console.log(`Starting wind data fetch for ${samples.length} time points`);
+
+        const seriesList = await this.fetchWindSeriesForSamples(samples, onProgress);
+        const windData = samples.map((sample, i) => {
+            if (!seriesList[i]) {
+                return this.createDefaultWindData(sample.time, sample);
+            }
+
+            return {
+                ...this.parseWeatherData(seriesList[i], sample.time),
+                time: sample.time,
+                lat: sample.lat,
+                lon: sample.lon
+            };
+        });
+
+        console.log(`Retrieved wind data for ${windData.length} time points`);
+        return windData;
+    }
+
+    // Wind time series at route points spaced every WIND_FETCH_INTERVAL and
+    // every sampleDistanceKm, so wind can be interpolated in time and space.
+    async getWindDataAlongRoute(points, onProgress = () => {}) {
+        const samplePoints = this.selectWindSamplePoints(points);
+
+        console.log(`Starting wind data fetch for ${samplePoints.length} route locations`);
+
+        const seriesList = await this.fetchWindSeriesForSamples(samplePoints, onProgress);
+        const windData = samplePoints.map((point, i) => {
+            if (!seriesList[i]) {
+                return {
+                    ...this.createDefaultWindData(point.time, point),
+                    distance_km: point.distance_km
+                };
+            }
+
+            return {
+                ...this.interpolateSeriesAt(seriesList[i], point.time),
+                time: new Date(point.time),
+                lat: point.lat,
+                lon: point.lon,
+                distance_km: point.distance_km,
+                series: seriesList[i]
+            };
+        });
+
+        console.log(`Retrieved wind data for ${windData.length} route locations`);
+        return windData;
+    }
+
+    // Route points where a new sample is due, by elapsed time or by distance
+    selectWindSamplePoints(points) {
+        const interval = this.CONSTANTS.WIND_FETCH_INTERVAL;
+        const spacingKm = this.options.sampleDistanceKm;
+        const indices = new Set([0, points.length - 1]);
+
+        let nextTime = points[0].time.getTime() + interval;
+        let nextDistance = spacingKm;
+
+        for (let i = 1; i < points.length; i++) {
+            const point = points[i];
+
+            if (point.time >= nextTime) {
+                indices.add(i);
+                while (nextTime <= point.time) nextTime += interval;
+            }
+
+            if (spacingKm > 0 && point.distance_km >= nextDistance) {
+                indices.add(i);
+                while (nextDistance <= point.distance_km) nextDistance += spacingKm;
+            }
+        }
+
+        return [...indices].sort((a, b) => a - b).map(i => points[i]);
+    }
+
+    // Resolve a wind series (at the provider's reference height) for every { lat, lon, time }
+    // sample. Samples close together share one location, and locations needing
+    // the same date range are requested together, so a typical ride needs one
+    // or two provider calls. Entries are null where the provider failed.
+    async fetchWindSeriesForSamples(samples, onProgress = () => {}) {
+        const { clusters, assignments } = this.clusterWindSamples(samples);
+        const provider = this.weatherProvider;
+        const batchSize = typeof provider.getWindSeriesBatch === "function"
+            ? provider.maxBatchSize || clusters.length
+            : 1;
+
+        // Group clusters by the date range they need
+        const groups = new Map();
+        for (const cluster of clusters) {
+            const key = `${this.toDateString(cluster.startTime)}/${this.toDateString(cluster.endTime)}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(cluster);
+        }
+
+        const requests = [];
+        for (const group of groups.values()) {
+            for (let i = 0; i < group.length; i += batchSize) {
+                requests.push(group.slice(i, i + batchSize));
+            }
+        }
+
+        console.log(`Fetching wind for ${samples.length} samples in ${clusters.length} locations with ${requests.length} request(s)`);
+
+        for (let i = 0; i < requests.length; i++) {
+            const batch = requests[i];
+            const startTime = new Date(Math.min(...batch.map(c => c.startTime)));
+            const endTime = new Date(Math.max(...batch.map(c => c.endTime)));
+
+            let seriesList = [];
+            try {
+                seriesList = batchSize > 1
+                    ? await provider.getWindSeriesBatch(batch, startTime, endTime)
+                    : [await provider.getWindSeries(batch[0].lat, batch[0].lon, startTime, endTime)];
+            } catch (error) {
+                console.warn(`Error getting wind data for ${batch.length} location(s):`, error);
+                if (batch.length > 1) {
+                    seriesList = await this.fetchWindSeriesOneByOne(batch, startTime, endTime);
+                }
+            }
+
+            // A location without data only loses its own series
+            batch.forEach((cluster, j) => {
+                cluster.series = seriesList[j]?.length ? seriesList[j] : null;
+            });
+
+            onProgress(i + 1, requests.length);
+            if (i < requests.length - 1) {
+                await this.delay(provider.requestDelay || 0);
+            }
+        }
+
+        const missing = clusters.filter(cluster => !cluster.series).length;
+        if (missing > 0) {
+            console.warn(`No wind data for ${missing} of ${clusters.length} locations, using the default wind there`);
+        }
+
+        // Ensure progress shows 100% completion
+        onProgress(requests.length, requests.length);
+        return assignments.map(index => clusters[index].series || null);
+    }
+
+    // Retry a failed batch location by location, so one bad location does
+    // not cost the others their wind. Entries are null where it fails again.
+    async fetchWindSeriesOneByOne(batch, startTime, endTime) {
+        const seriesList = [];
+        for (const cluster of batch) {
+            try {
+                seriesList.push(await this.weatherProvider.getWindSeries(cluster.lat, cluster.lon, startTime, endTime));
+            } catch (error) {
+                console.warn(`Error getting wind data for ${cluster.lat.toFixed(3)}, ${cluster.lon.toFixed(3)}:`, error.message);
+                seriesList.push(null);
+            }
+            await this.delay(this.weatherProvider.requestDelay || 0);
+        }
+        return seriesList;
+    }
+
+    // Greedily assign samples to locations within WEATHER_CLUSTER_RADIUS; each
+    // location keeps the time span of its samples (padded for interpolation).
+    // assignments[i] is the index of the cluster serving samples[i].
+    clusterWindSamples(samples) {
+        const radius = this.CONSTANTS.WEATHER_CLUSTER_RADIUS * 1000;
+        const padding = 60 * 60 * 1000;
+        const clusters = [];
+        const assignments = [];
+
+        for (const sample of samples) {
+            let index = clusters.findIndex(c =>
+                this.haversineDistance(c.lat, c.lon, sample.lat, sample.lon) <= radius
+            );
+
+            if (index < 0) {
+                clusters.push({ lat: sample.lat, lon: sample.lon, startTime: Infinity, endTime: -Infinity });
+                index = clusters.length - 1;
+            }
+
+            const cluster = clusters[index];
+            cluster.startTime = Math.min(cluster.startTime, sample.time.getTime() - padding);
+            cluster.endTime = Math.max(cluster.endTime, sample.time.getTime() + padding);
+            assignments.push(index);
+        }
+
+        return { clusters, assignments };
+    }
+
+    toDateString(time) {
+        return new Date(time).toISOString().split("T")[0];
+    }
+
+    // Wind at a given time from a sorted series, interpolated between neighbours
+    interpolateSeriesAt(series, time) {
+        if (time <= series[0].time) return this.pickWind(series[0]);
+
+        const last = series[series.length - 1];
+        if (time >= last.time) return this.pickWind(last);
+
+        let low = 0;
+        let high = series.length - 1;
+        while (high - low > 1) {
+            const mid = (low + high) >> 1;
+            if (series[mid].time <= time) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        const before = series[low];
+        const after = series[high];
+        const ratio = (time - before.time) / (after.time - before.time);
+        return this.blendWind(before, after, ratio);
+    }
+
+    // Blend two wind values (see blendDirection for the direction)
+    blendWind(a, b, ratio) {
+        return {
+            wind_speed: a.wind_speed + (b.wind_speed - a.wind_speed) * ratio,
+            wind_direction: this.blendDirection(a.wind_direction, b.wind_direction, ratio),
+            ...this.blendWeatherFields(a, b, ratio)
+        };
+    }
+
+    // Angle in degrees between two others, interpolated on the circle so
+    // that e.g. 350° and 10° average to 0° rather than 180°
+    blendDirection(a, b, ratio) {
+        const radA = this.toRadians(a);
+        const radB = this.toRadians(b);
+        const x = (1 - ratio) * Math.sin(radA) + ratio * Math.sin(radB);
+        const y = (1 - ratio) * Math.cos(radA) + ratio * Math.cos(radB);
+        return (this.toDegrees(Math.atan2(x, y)) + 360) % 360;
+    }
+
+    // Linear blend of the optional weather fields; a field known on one side only is kept as-is
+    blendWeatherFields(a, b, ratio) {
+        const fields = {};
+        for (const field of WEATHER_FIELDS) {
+            const valueA = a[field];
+            const valueB = b[field];
+            fields[field] = valueA != null && valueB != null
+                ? valueA + (valueB - valueA) * ratio
+                : valueA ?? valueB;
+        }
+        return fields;
+    }
+
+    pickWind(sample) {
+        const wind = { wind_speed: sample.wind_speed, wind_direction: sample.wind_direction };
+        for (const field of WEATHER_FIELDS) {
+            wind[field] = sample[field];
+        }
+        return wind;
+    }
+
+    findClosestGPXPoint(points, targetTime) {
+        let closestPoint = points[0];
+        let minTimeDiff = Math.abs(targetTime - closestPoint.time);
+
+        for (const point of points) {
+            const timeDiff = Math.abs(targetTime - point.time);
+            if (timeDiff < minTimeDiff) {
+                minTimeDiff = timeDiff;
+                closestPoint = point;
+            }
+        }
+
+        return closestPoint;
+    }
+
+    createDefaultWindData(time, point) {
+        return {
+            time: new Date(time),
+            lat: point.lat,
+            lon: point.lon,
+            wind_speed: this.CONSTANTS.DEFAULT_WIND_SPEED,
+            wind_direction: this.CONSTANTS.DEFAULT_WIND_DIRECTION
+        };
+    }
+
+    // Closest hourly value in a series (at the provider's reference height)
+    parseWeatherData(series, timestamp) {
+        if (!series?.length) {
+            throw new Error("No hourly data available");
+        }
+
+        let closestIdx = 0;
+        let minDiff = Infinity;
+
+        for (let i = 0; i < series.length; i++) {
+            const diff = Math.abs(series[i].time - timestamp);
+            if (diff < minDiff) {
+                minDiff = diff;
+                closestIdx = i;
+            }
+        }
+
+        return this.pickWind(series[closestIdx]);
+    }
+
+    reduceWindToRiderHeight(windSpeed, referenceHeight = 10, roughnessLength = this.options.roughnessLength) {
+        const riderHeight = this.options.riderHeight;
+        if (referenceHeight <= riderHeight) return windSpeed;
+
+        //Ianto Cannon Jul 26: calculate the wind speed at rider height with the logarithmic wind profile
+        const factor = Math.log(riderHeight / roughnessLength) / Math.log(referenceHeight / roughnessLength);
+
+        // The log law breaks down among tall roughness (trees, buildings), where
+        // it would drop to zero; keep a floor for the wind left in streets and clearings
+        return windSpeed * Math.max(factor, this.CONSTANTS.MIN_SHELTER_FACTOR);
+    }
+
+    // Roughness length at a distance along the route; later segments win where they overlap
+    getRoughnessAt(distanceKm) {
+        const segments = this.options.roughnessSegments || [];
+        for (let i = segments.length - 1; i >= 0; i--) {
+            const { startKm, endKm, roughnessLength } = segments[i];
+            if (distanceKm >= startKm && distanceKm <= endKm) return roughnessLength;
+        }
+        return this.options.roughnessLength;
+    }
+
+    // Reduce the reference-height wind of every point to rider height using
+    // the terrain roughness at that point
+    applyWindProfile(points) {
+        const referenceHeight = this.weatherProvider.referenceHeight;
+
+        for (const point of points) {
+            const roughnessLength = this.getRoughnessAt(point.distance_km);
+            point.roughness_length = roughnessLength;
+            point.wind_speed = this.reduceWindToRiderHeight(point.wind_speed_ref || 0, referenceHeight, roughnessLength);
+            point.wind_gusts = point.wind_gusts_ref != null
+                ? this.reduceWindToRiderHeight(point.wind_gusts_ref, referenceHeight, roughnessLength)
+                : undefined;
+        }
+
+        return points;
+    }
+
+    // Recompute everything downstream of the wind profile after rider height
+    // or roughness changed, reusing the wind already interpolated on the points
+    updateWindProfile(points) {
+        this.applyWindProfile(points);
+        this.calculateRelativeWind(points);
+        this.calculateWindPower(points);
+        this.calculateWindNeutralSpeed(points);
+        return points;
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    interpolateWindAlongRoute(points, windData) {
+        // Improved interpolation with boundary handling
+        for (const gpxPoint of points) {
+            const pointWind = this.interpolateWindForPoint(gpxPoint, windData);
+            Object.assign(gpxPoint, pointWind, {
+                wind_speed_ref: pointWind.wind_speed,
+                wind_gusts_ref: pointWind.wind_gusts
+            });
+        }
+
+        this.applyWindProfile(points);
+        this.calculateRelativeWind(points);
+        return points;
+    }
+
+    interpolateWindForPoint(gpxPoint, windData) {
+        // Handle edge cases first
+        if (windData.length === 0) {
+            return {
+                wind_speed: this.CONSTANTS.DEFAULT_WIND_SPEED,
+                wind_direction: this.CONSTANTS.DEFAULT_WIND_DIRECTION
+            };
+        }
+
+        // Samples carrying a time series were taken along the route
+        if (windData.some(sample => sample.series)) {
+            return this.interpolateWindInTimeAndSpace(gpxPoint, windData);
+        }
+
+        if (windData.length === 1) {
+            return this.pickWind(windData[0]);
+        }
+
+        // Find surrounding wind data points
+        const { before, after } = this.findSurroundingWindData(windData, gpxPoint.time);
+
+        if (before && after) {
+            return this.interpolateBetweenWindPoints(before, after, gpxPoint.time);
+        }
+
+        // Use closest available data
+        const closest = before || after || windData[0];
+        return this.pickWind(closest);
+    }
+
+    findSurroundingWindData(windData, targetTime) {
+        let before = null;
+        let after = null;
+
+        for (let i = 0; i < windData.length - 1; i++) {
+            if (windData[i].time <= targetTime && windData[i + 1].time >= targetTime) {
+                before = windData[i];
+                after = windData[i + 1];
+                break;
+            }
+        }
+
+        return { before, after };
+    }
+
+    // Interpolate in time at the route samples either side of the point, then
+    // blend the two by distance along the route
+    interpolateWindInTimeAndSpace(gpxPoint, windData) {
+        const windAtSample = (sample) => sample.series
+            ? this.interpolateSeriesAt(sample.series, gpxPoint.time)
+            : this.pickWind(sample);
+
+        const distance = gpxPoint.distance_km;
+        if (windData.length === 1 || distance <= windData[0].distance_km) {
+            return windAtSample(windData[0]);
+        }
+
+        for (let i = 0; i < windData.length - 1; i++) {
+            const before = windData[i];
+            const after = windData[i + 1];
+
+            if (distance >= before.distance_km && distance <= after.distance_km) {
+                const span = after.distance_km - before.distance_km;
+                const ratio = span > 0 ? (distance - before.distance_km) / span : 0;
+                return this.blendWind(windAtSample(before), windAtSample(after), ratio);
+            }
+        }
+
+        return windAtSample(windData[windData.length - 1]);
+    }
+
+    interpolateBetweenWindPoints(before, after, targetTime) {
+        const totalTime = after.time - before.time;
+        const pointTime = targetTime - before.time;
+        const ratio = totalTime > 0 ? pointTime / totalTime : 0;
+
+        return this.blendWind(before, after, ratio);
+    }
+
+    calculateRelativeWind(points) {
+        for (const point of points) {
+            const windFromDeg = point.wind_direction;
+            const cyclistDirection = point.bearing;
+
+            // Calculate relative angle
+            const relativeAngle = ((windFromDeg - cyclistDirection + 180) % 360) - 180;
+
+            // Calculate wind component in cyclist's direction
+            const windComponent = point.wind_speed * Math.cos(this.toRadians(relativeAngle));
+            point.wind_faced = windComponent;
+
+            // Sideways component: positive when the wind comes from the rider's right
+            point.crosswind = point.wind_speed * Math.sin(this.toRadians(relativeAngle));
+        }
+
+        console.log("Calculated relative wind for all points");
+    }
+
+    // Summary of the optional weather fields; values are null when the
+    // provider did not supply them
+    calculateWeatherStats(points) {
+        const values = (field) => points.map(p => p[field]).filter(v => v != null && !isNaN(v));
+        const mean = (list) => list.length > 0 ? list.reduce((sum, v) => sum + v, 0) / list.length : null;
+
+        const temperatures = values("temperature");
+        const gusts = values("wind_gusts");
+
+        // Precipitation is a rate (mm/h), so integrate it over the ride
+        let precipitation = null;
+        for (let i = 1; i < points.length; i++) {
+            const rate = points[i].precipitation;
+            const hours = (points[i].time - points[i - 1].time) / 3600000;
+            if (rate != null && hours > 0) {
+                precipitation = (precipitation || 0) + rate * hours;
+            }
+        }
+
+        return {
+            avgTemperature: mean(temperatures),
+            minTemperature: temperatures.length > 0 ? Math.min(...temperatures) : null,
+            maxTemperature: temperatures.length > 0 ? Math.max(...temperatures) : null,
+            maxGust: gusts.length > 0 ? Math.max(...gusts) : null,
+            avgHumidity: mean(values("humidity")),
+            avgPressure: mean(values("pressure")),
+            totalPrecipitation: precipitation
+        };
+    }
+
+    // Crosswind magnitude stats and time spent above crosswindThreshold
+    calculateCrosswindStats(points) {
+        const threshold = this.options.crosswindThreshold;
+        const crosswinds = points.map(p => Math.abs(p.crosswind || 0));
+        let exposedSeconds = 0;
+        let totalSeconds = 0;
+
+        for (let i = 1; i < points.length; i++) {
+            const dt = (points[i].time - points[i - 1].time) / 1000;
+            if (dt <= 0 || points[i].stopped || this.isSegmentStart(points, i)) continue;
+
+            totalSeconds += dt;
+            if (crosswinds[i] >= threshold) {
+                exposedSeconds += dt;
+            }
+        }
+
+        return {
+            maxCrosswind: crosswinds.length > 0 ? Math.max(...crosswinds) : 0,
+            avgCrosswind: crosswinds.length > 0 ? crosswinds.reduce((sum, c) => sum + c, 0) / crosswinds.length : 0,
+            crosswindExposureTime: exposedSeconds / 3600,
+            crosswindExposurePercentage: totalSeconds > 0 ? (exposedSeconds / totalSeconds) * 100 : 0
+        };
+    }
+
+    // Index ranges [start, end] of consecutive points at or above crosswindThreshold
+    findCrosswindSections(points) {
+        const threshold = this.options.crosswindThreshold;
+        const sections = [];
+        let start = -1;
+
+        for (let i = 0; i < points.length; i++) {
+            const exposed = Math.abs(points[i].crosswind || 0) >= threshold;
+
+            // Sections never span a gap between segments
+            if (start >= 0 && this.isSegmentStart(points, i)) {
+                sections.push({ start, end: i - 1 });
+                start = -1;
+            }
+
+            if (exposed && start < 0) {
+                start = i;
+            } else if (!exposed && start >= 0) {
+                sections.push({ start, end: i - 1 });
+                start = -1;
+            }
+        }
+
+        if (start >= 0) {
+            sections.push({ start, end: points.length - 1 });
+        }
+
+        return sections;
+    }
+
+    // Estimated rider power with the wind (power_w) and in still air
+    // (power_still_w); wind_power_w is what the wind cost (+) or gave back (-)
+    calculateWindPower(points) {
+        const model = this.createPowerModel();
+
+        for (let i = 0; i < points.length; i++) {
+            const point = points[i];
+            const speed = point.speed_kmh / 3.6;
+            const headwind = (point.wind_faced || 0) / 3.6;
+            const grade = this.estimateGrade(points, i);
+            const density = model.airDensity(point.elevation, point.temperature, point.pressure);
+
+            // Riders cannot produce negative power: coasting absorbs the surplus
+            const withWind = Math.max(0, model.totalPower(speed, headwind, grade, density));
+            const stillAir = Math.max(0, model.totalPower(speed, 0, grade, density));
+
+            point.power_w = withWind;
+            point.power_still_w = stillAir;
+            point.wind_power_w = withWind - stillAir;
+        }
+
+        console.log("Calculated wind power for all points");
+        return points;
+    }
+
+    createPowerModel() {
+        return new PowerModel({
+            cda: this.options.cda,
+            mass: this.options.totalMass,
+            crr: this.options.crr
+        });
+    }
+
+    // Speed each point would have had in still air for the same estimated
+    // power (neutral_speed_kmh). Coasting points keep their actual speed,
+    // since their speed is set by gravity and braking rather than effort.
+    calculateWindNeutralSpeed(points) {
+        const model = this.createPowerModel();
+        const maxSpeed = this.CONSTANTS.MAX_REALISTIC_SPEED / 3.6;
+
+        for (let i = 0; i < points.length; i++) {
+            const point = points[i];
+
+            if (!(point.speed_kmh > 0) || !(point.power_w > 0)) {
+                point.neutral_speed_kmh = point.speed_kmh;
+                continue;
+            }
+
+            const grade = this.estimateGrade(points, i);
+            const density = model.airDensity(point.elevation, point.temperature, point.pressure);
+            point.neutral_speed_kmh = model.solveSpeed(point.power_w, 0, grade, density, maxSpeed) * 3.6;
+        }
+
+        console.log("Calculated wind-neutral speed for all points");
+        return points;
+    }
+
+    // Moving time and average speed had every segment been ridden in still
+    // air at the same power. Stopped intervals are left out, so the figures
+    // compare with movingTime and movingAvgSpeed.
+    calculateWindNeutralStats(points) {
+        let movingSeconds = 0;
+        let neutralSeconds = 0;
+        let distanceKm = 0;
+
+        for (let i = 1; i < points.length; i++) {
+            const prev = points[i - 1];
+            const curr = points[i];
+
+            // Zero across gaps between segments
+            const distance = curr.distance_km - prev.distance_km;
+            distanceKm += distance;
+
+            const dt = (curr.time - prev.time) / 1000;
+            if (dt <= 0 || curr.stopped) continue;
+
+            movingSeconds += dt;
+            if (curr.speed_kmh > 0 && curr.neutral_speed_kmh > 0 && distance > 0) {
+                neutralSeconds += dt * (curr.speed_kmh / curr.neutral_speed_kmh);
+            } else {
+                neutralSeconds += dt;
+            }
+        }
+
+        return {
+            neutralTime: neutralSeconds / 3600,
+            neutralTimeDelta: (neutralSeconds - movingSeconds) / 3600,
+            neutralAvgSpeed: neutralSeconds > 0 ? distanceKm / (neutralSeconds / 3600) : 0
+        };
+    }
+
+    // Grade (rise/run) at a point: its grade_pct when preparePoints set one,
+    // otherwise measured over the last GRADE_WINDOW meters of the route
+    estimateGrade(points, index) {
+        const current = points[index];
+        if (current.grade_pct != null) {
+            return current.grade_pct / 100;
+        }
+
+        const windowKm = this.CONSTANTS.GRADE_WINDOW / 1000;
+        let j = index;
+
+        while (j > 0 && current.distance_km - points[j].distance_km < windowKm) {
+            j--;
+        }
+
+        const run = (current.distance_km - points[j].distance_km) * 1000;
+        if (run <= 0) return 0;
+
+        const grade = (current.elevation - points[j].elevation) / run;
+        return Math.max(-this.CONSTANTS.MAX_GRADE, Math.min(this.CONSTANTS.MAX_GRADE, grade));
+    }
+
+    // Energy the wind cost or gave back over the moving parts of the ride
+    calculateWindEnergy(points) {
+        let windEnergy = 0;
+        let headwindCost = 0;
+        let tailwindGain = 0;
+        let movingSeconds = 0;
+
+        for (let i = 1; i < points.length; i++) {
+            const curr = points[i];
+            const dt = (curr.time - points[i - 1].time) / 1000;
+            if (dt <= 0 || !(curr.speed_kmh > 0)) continue;
+
+            const energy = (curr.wind_power_w || 0) * dt;
+            windEnergy += energy;
+            if (energy > 0) {
+                headwindCost += energy;
+            } else {
+                tailwindGain -= energy;
+            }
+            movingSeconds += dt;
+        }
+
+        return {
+            windEnergyKJ: windEnergy / 1000,
+            headwindCostKJ: headwindCost / 1000,
+            tailwindGainKJ: tailwindGain / 1000,
+            avgWindPower: movingSeconds > 0 ? windEnergy / movingSeconds : 0
+        };
+    }
+
+    createBinnedData(xData, yData, binCount = 20) {
+        const minX = Math.min(...xData);
+        const maxX = Math.max(...xData);
+        const binWidth = (maxX - minX) / binCount;
+
+        const bins = [];
+        for (let i = 0; i < binCount; i++) {
+            const binStart = minX + i * binWidth;
+            const binEnd = binStart + binWidth;
+            const binData = [];
+
+            for (let j = 0; j < xData.length; j++) {
+                if (xData[j] >= binStart && xData[j] < binEnd) {
+                    binData.push(yData[j]);
+                }
+            }
+
+            if (binData.length > 0) {
+                const mean = binData.reduce((a, b) => a + b, 0) / binData.length;
+                const std = Math.sqrt(
+                    binData.reduce((sq, n) => sq + Math.pow(n - mean, 2), 0) / binData.length
+                );
+                const sem = std / Math.sqrt(binData.length);
+
+                bins.push({
+                    x: binStart + binWidth / 2,
+                    y: mean,
+                    error: sem,
+                    count: binData.length
+                });
+            }
+        }
+
+        return bins;
+    }
+
+    calculateRouteStatistics(points) {
+        const totalDistance = this.calculateTotalDistance(points);
+        const totalTime = (points[points.length - 1].time - points[0].time) / (1000 * 60 * 60);
+
+        const speeds = points.map(p => p.speed_kmh).filter(s => s > 0);
+        const windFacedValues = points.map(p => p.wind_faced);
+        const windSpeedValues = points.map(p => p.wind_speed);
+
+        // Exposure percentages only count points where the rider was moving
+        const movingWindFaced = points.filter(p => !p.stopped).map(p => p.wind_faced);
+
+        return {
+            totalDistance,
+            totalTime,
+            avgSpeed: speeds.length > 0 ? speeds.reduce((sum, s) => sum + s, 0) / speeds.length : 0,
+            avgWindFaced: windFacedValues.reduce((sum, w) => sum + w, 0) / windFacedValues.length,
+            maxHeadwind: Math.max(...windFacedValues.map(w => Math.max(0, w))),
+            maxTailwind: Math.abs(Math.min(...windFacedValues.map(w => Math.min(0, w)))),
+            avgWindSpeed: windSpeedValues.reduce((sum, w) => sum + w, 0) / windSpeedValues.length,
+            headwindPercentage: movingWindFaced.length > 0
+                ? (movingWindFaced.filter(w => w >= 0).length / movingWindFaced.length) * 100
+                : 0,
+            ...this.calculateMovingStats(points, totalDistance, totalTime),
+            ...this.calculateElevationStats(points),
+            ...this.calculateWindEnergy(points),
+            ...this.calculateWindNeutralStats(points),
+            ...this.calculateCrosswindStats(points),
+            ...this.calculateWeatherStats(points),
+            ...this.calculateRiderMetricStats(points)
+        };
+    }
+
+    // Moving vs elapsed time (hours) from the stopped flags set by detectStops
+    calculateMovingStats(points, totalDistance, elapsedTime) {
+        let stoppedSeconds = 0;
+        let stopCount = 0;
+
+        for (let i = 1; i < points.length; i++) {
+            if (!points[i].stopped) continue;
+
+            stoppedSeconds += Math.max(0, (points[i].time - points[i - 1].time) / 1000);
+            if (!points[i - 1].stopped) stopCount++;
+        }
+
+        const movingTime = Math.max(0, elapsedTime - stoppedSeconds / 3600);
+
+        return {
+            elapsedTime,
+            movingTime,
+            stoppedTime: stoppedSeconds / 3600,
+            stopCount,
+            movingAvgSpeed: movingTime > 0 ? totalDistance / movingTime : 0
+        };
+    }
+
+    // Total ascent/descent (m) counted once the elevation has moved
+    // ELEVATION_HYSTERESIS meters from the last turning point, so leftover
+    // noise does not add up; never across a gap between segments
+    calculateElevationStats(points) {
+        const threshold = this.CONSTANTS.ELEVATION_HYSTERESIS;
+        let totalAscent = 0;
+        let totalDescent = 0;
+        let reference = points[0].elevation;
+
+        for (let i = 1; i < points.length; i++) {
+            const elevation = points[i].elevation;
+            if (this.isSegmentStart(points, i)) {
+                reference = elevation;
+                continue;
+            }
+
+            const change = elevation - reference;
+            if (change >= threshold) {
+                totalAscent += change;
+                reference = elevation;
+            } else if (change <= -threshold) {
+                totalDescent -= change;
+                reference = elevation;
+            }
+        }
+
+        const elevations = points.map(p => p.elevation);
+        const grades = points.map(p => p.grade_pct ?? 0);
+
+        return {
+            totalAscent,
+            totalDescent,
+            minElevation: Math.min(...elevations),
+            maxElevation: Math.max(...elevations),
+            maxGrade: Math.max(...grades),
+            minGrade: Math.min(...grades)
+        };
+    }
+
+    // Averages of the recorded sensor data and how measured power relates to
+    // the headwind while moving. Values are null when a sensor is missing.
+    calculateRiderMetricStats(points) {
+        const moving = points.filter(p => p.speed_kmh > 0);
+        const mean = (list) => list.length > 0 ? list.reduce((sum, v) => sum + v, 0) / list.length : null;
+        const values = (field) => moving.map(p => p[field]).filter(v => v != null);
+
+        const powered = moving.filter(p => p.measured_power_w != null && p.wind_faced != null);
+        const { slope, correlation } = this.linearFit(
+            powered.map(p => p.wind_faced),
+            powered.map(p => p.measured_power_w)
+        );
+
+        return {
+            avgMeasuredPower: mean(values("measured_power_w")),
+            avgHeartRate: mean(values("heart_rate")),
+            avgCadence: mean(values("cadence").filter(c => c > 0)),
+            powerHeadwindSlope: slope, // W per km/h of headwind
+            powerHeadwindCorrelation: correlation
+        };
+    }
+
+    // Least-squares slope and Pearson correlation of y against x; null
+    // with fewer than two points or no spread
+    linearFit(xs, ys) {
+        const n = xs.length;
+        if (n < 2) return { slope: null, correlation: null };
+
+        const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+        const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+        let sxx = 0;
+        let syy = 0;
+        let sxy = 0;
+
+        for (let i = 0; i < n; i++) {
+            const dx = xs[i] - meanX;
+            const dy = ys[i] - meanY;
+            sxx += dx * dx;
+            syy += dy * dy;
+            sxy += dx * dy;
+        }
+
+        return {
+            slope: sxx > 0 ? sxy / sxx : null,
+            correlation: sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null
+        };
+    }
+
+    calculateTotalDistance(points) {
+        let totalDistance = 0;
+        for (let i = 1; i < points.length; i++) {
+            if (this.isSegmentStart(points, i)) continue;
+            totalDistance += this.haversineDistance(
+                points[i - 1].lat,
+                points[i - 1].lon,
+                points[i].lat,
+                points[i].lon
+            );
+        }
+        return totalDistance / 1000; // Convert to kilometers
+    }
+
+    // Set route_km on every point of another ride of the same route: the
+    // distance along the reference route of its closest reference point.
+    // Points are matched near the previous match so loops and out-and-back
+    // routes do not jump between passes; off-route points keep the last
+    // value, and route_km never decreases.
+    projectOntoRoute(reference, points) {
+        const maxOffset = this.CONSTANTS.MAX_ROUTE_OFFSET;
+        const window = this.CONSTANTS.ROUTE_MATCH_WINDOW;
+        const backtrack = this.CONSTANTS.MAX_ROUTE_OFFSET / 1000;
+
+        const closestIn = (point, from, to) => {
+            let best = -1;
+            let bestDistance = Infinity;
+            for (let i = from; i < to; i++) {
+                const distance = this.haversineDistance(point.lat, point.lon, reference[i].lat, reference[i].lon);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = i;
+                }
+            }
+            return { index: best, distance: bestDistance };
+        };
+
+        let match = -1;
+        let routeKm = null;
+
+        for (const point of points) {
+            let found = { index: -1, distance: Infinity };
+
+            if (match >= 0) {
+                const matchKm = reference[match].distance_km;
+                let from = match;
+                while (from > 0 && reference[from - 1].distance_km >= matchKm - backtrack) from--;
+                let to = match + 1;
+                while (to < reference.length && reference[to].distance_km <= matchKm + window) to++;
+                found = closestIn(point, from, to);
+            }
+
+            // First point, or lost track of the route: search all of it
+            if (found.distance > maxOffset) {
+                found = closestIn(point, 0, reference.length);
+            }
+
+            if (found.distance <= maxOffset) {
+                match = found.index;
+                routeKm = Math.max(routeKm ?? 0, reference[match].distance_km);
+            }
+            point.route_km = routeKm;
+        }
+
+        return points;
+    }
+
+    // Time a ride (with route_km set) passed a distance along the reference
+    // route, interpolated between points; null where it did not cover it.
+    // Its ends may miss the reference ends by up to MAX_ROUTE_OFFSET.
+    timeAtRouteDistance(points, routeKm) {
+        const tolerance = this.CONSTANTS.MAX_ROUTE_OFFSET / 1000;
+
+        let low = 0;
+        let high = points.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if ((points[mid].route_km ?? -Infinity) < routeKm) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        if (low >= points.length) {
+            const last = points[points.length - 1];
+            return last.route_km != null && routeKm - last.route_km <= tolerance ? last.time : null;
+        }
+        if (low === 0 || points[low - 1].route_km == null) {
+            return points[low].route_km - routeKm <= tolerance ? points[low].time : null;
+        }
+
+        const before = points[low - 1];
+        const after = points[low];
+        const span = after.route_km - before.route_km;
+        const ratio = span > 0 ? (routeKm - before.route_km) / span : 0;
+        return new Date(before.time.getTime() + (after.time - before.time) * ratio);
+    }
+
+    // Compare rides of the same route section by section. rides is
+    // [{ name, points }] with analyzed points; the first is the reference
+    // whose distance the others are aligned to (see projectOntoRoute).
+    // Returns { sectionKm, sections: [{ startKm, endKm, rides: [{ seconds,
+    // speedKmh, windFaced, deltaSeconds } | null] }], totals: [{ name,
+    // seconds, deltaSeconds, coveredKm }] }, deltas relative to the reference
+    // (negative = faster). Section times include any stops.
+    compareRides(rides, { sectionKm = null } = {}) {
+        if (rides.length < 2) {
+            throw new Error("At least two rides are needed for a comparison");
+        }
+
+        const [reference, ...others] = rides;
+        for (const point of reference.points) {
+            point.route_km = point.distance_km;
+        }
+        for (const ride of others) {
+            this.projectOntoRoute(reference.points, ride.points);
+        }
+
+        const totalKm = reference.points[reference.points.length - 1].distance_km;
+        const length = sectionKm || this.chooseSectionLength(totalKm);
+        const sectionCount = Math.ceil(totalKm / length - 1e-9);
+        const sections = [];
+
+        for (let s = 0; s < sectionCount; s++) {
+            const startKm = s * length;
+            const endKm = Math.min(startKm + length, totalKm);
+
+            const results = rides.map(ride => {
+                const startTime = this.timeAtRouteDistance(ride.points, startKm);
+                const endTime = this.timeAtRouteDistance(ride.points, endKm);
+                if (!startTime || !endTime) return null;
+
+                const seconds = (endTime - startTime) / 1000;
+                const windFaced = ride.points
+                    .filter(p => p.route_km >= startKm && p.route_km < endKm && p.wind_faced != null)
+                    .map(p => p.wind_faced);
+
+                return {
+                    seconds,
+                    speedKmh: seconds > 0 ? (endKm - startKm) / (seconds / 3600) : null,
+                    windFaced: windFaced.length > 0 ? windFaced.reduce((sum, w) => sum + w, 0) / windFaced.length : null
+                };
+            });
+
+            const referenceSeconds = results[0]?.seconds;
+            for (const result of results) {
+                if (result) {
+                    result.deltaSeconds = referenceSeconds != null ? result.seconds - referenceSeconds : null;
+                }
+            }
+
+            sections.push({ startKm, endKm, rides: results });
+        }
+
+        // Totals only over sections both the ride and the reference covered
+        const totals = rides.map((ride, r) => {
+            const shared = sections.filter(section => section.rides[r] && section.rides[0]);
+            return {
+                name: ride.name,
+                seconds: shared.reduce((sum, section) => sum + section.rides[r].seconds, 0),
+                deltaSeconds: shared.reduce((sum, section) => sum + section.rides[r].deltaSeconds, 0),
+                coveredKm: shared.reduce((sum, section) => sum + section.endKm - section.startKm, 0)
+            };
+        });
+
+        console.log(`Compared ${rides.length} rides over ${sections.length} sections of ${length} km`);
+        return { sectionKm: length, sections, totals };
+    }
+
+    // Named segment between two points of a ride, for SegmentLibrary
+    defineSegment(points, startIndex, endIndex, name) {
+        if (endIndex <= startIndex) {
+            throw new Error("The end of a segment must come after its start");
+        }
+
+        const start = points[startIndex];
+        const end = points[endIndex];
+        const lengthKm = end.distance_km - start.distance_km;
+        if (lengthKm * 1000 < 2 * this.CONSTANTS.SEGMENT_TOLERANCE) {
+            throw new Error("Segment is too short, pick points further apart");
+        }
+
+        return {
+            id: `segment-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: name || `Segment ${lengthKm.toFixed(1)} km`,
+            start: { lat: start.lat, lon: start.lon },
+            end: { lat: end.lat, lon: end.lon },
+            lengthKm,
+            tolerance: this.CONSTANTS.SEGMENT_TOLERANCE
+        };
+    }
+
+    // Efforts on a segment within analyzed points: every pass near the
+    // segment start followed by a pass near its end, bounded by the closest
+    // point of each pass. Efforts whose distance differs too much from the
+    // segment took another way between its points and are skipped.
+    // Returns [{ startIndex, endIndex, startTime, seconds, distanceKm,
+    // speedKmh, windFaced, adjustedSeconds }], adjustedSeconds being the
+    // time in still air at the same power (see calculateWindNeutralStats).
+    findSegmentEfforts(points, segment) {
+        const tolerance = segment.tolerance || this.CONSTANTS.SEGMENT_TOLERANCE;
+
+        // Index of the closest point of each run of points within tolerance
+        const passes = (target) => {
+            const result = [];
+            let best = -1;
+            let bestDistance = Infinity;
+
+            for (let i = 0; i <= points.length; i++) {
+                const distance = i < points.length
+                    ? this.haversineDistance(points[i].lat, points[i].lon, target.lat, target.lon)
+                    : Infinity;
+
+                if (distance <= tolerance) {
+                    if (distance < bestDistance) {
+                        best = i;
+                        bestDistance = distance;
+                    }
+                } else if (best >= 0) {
+                    result.push(best);
+                    best = -1;
+                    bestDistance = Infinity;
+                }
+            }
+            return result;
+        };
+
+        const starts = passes(segment.start);
+        const ends = passes(segment.end);
+        const maxDifference = segment.lengthKm * this.CONSTANTS.SEGMENT_LENGTH_TOLERANCE + 2 * tolerance / 1000;
+        const efforts = [];
+        let from = 0;
+
+        for (const endIndex of ends) {
+            // Latest start pass before this end that follows the previous effort
+            const startIndex = starts.filter(index => index >= from && index < endIndex).pop();
+            if (startIndex === undefined) continue;
+
+            const distanceKm = points[endIndex].distance_km - points[startIndex].distance_km;
+            if (Math.abs(distanceKm - segment.lengthKm) > maxDifference) continue;
+
+            const effortPoints = points.slice(startIndex, endIndex + 1);
+            const seconds = (points[endIndex].time - points[startIndex].time) / 1000;
+            if (!(seconds > 0)) continue;
+
+            // Distance-weighted, so slow sections do not dominate
+            let windSum = 0;
+            let windDistance = 0;
+            for (let i = 1; i < effortPoints.length; i++) {
+                const distance = effortPoints[i].distance_km - effortPoints[i - 1].distance_km;
+                if (distance > 0 && effortPoints[i].wind_faced != null) {
+                    windSum += effortPoints[i].wind_faced * distance;
+                    windDistance += distance;
+                }
+            }
+
+            efforts.push({
+                startIndex,
+                endIndex,
+                startTime: points[startIndex].time,
+                seconds,
+                distanceKm,
+                speedKmh: distanceKm / (seconds / 3600),
+                windFaced: windDistance > 0 ? windSum / windDistance : null,
+                // Stops within the effort count as they were ridden
+                adjustedSeconds: seconds + this.calculateWindNeutralStats(effortPoints).neutralTimeDelta * 3600
+            });
+            from = endIndex;
+        }
+
+        return efforts;
+    }
+
+    // URL fragment ("share=v1.<data>") with a downsampled route, the options,
+    // the wind samples and the summary stats of the full-resolution ride, so
+    // analyzeShareState can rebuild the analysis without a server or weather
+    // requests. The route is an encoded polyline, the JSON payload deflated
+    // and base64url-encoded.
+    async encodeShareState(points, windData, { name = "" } = {}) {
+        const route = this.downsampleRoute(points, this.CONSTANTS.SHARE_MAX_POINTS);
+        const start = route[0].time.getTime();
+        const end = route[route.length - 1].time.getTime();
+        const margin = this.CONSTANTS.SHARE_WIND_MARGIN * 3600 * 1000;
+
+        const encodeSample = (sample) => {
+            const encoded = {};
+            for (const field of SHARED_WIND_FIELDS) {
+                const value = sample[field];
+                if (value instanceof Date) {
+                    encoded[field] = value.getTime();
+                } else if (Number.isFinite(value)) {
+                    encoded[field] = Number(value.toFixed(field === "lat" || field === "lon" ? 5 : 2));
+                }
+            }
+            if (sample.series) {
+                encoded.series = sample.series
+                    .filter(entry => entry.time >= start - margin && entry.time <= end + margin)
+                    .map(encodeSample);
+            }
+            return encoded;
+        };
+
+        const options = {};
+        for (const key of Object.keys(SHARED_OPTIONS)) {
+            options[key] = this.options[key];
+        }
+        if (options.plannedStartTime) {
+            options.plannedStartTime = options.plannedStartTime.getTime();
+        }
+
+        const payload = {
+            name,
+            options,
+            stats: this.pickSharedStats(this.calculateRouteStatistics(points)),
+            start,
+            route: encodePolyline(route.map(p => [p.lat, p.lon])),
+            elevation: encodeSeries(route.map(p => p.elevation ?? 0), 10),
+            time: encodeSeries(route.map(p => (p.time.getTime() - start) / 1000)),
+            distance: encodeSeries(route.map(p => p.distance_km), 1000),
+            speed: encodeSeries(route.map(p => p.speed_kmh), 10),
+            bearing: encodeSeries(route.map(p => p.bearing)),
+            grade: encodeSeries(route.map(p => p.grade_pct ?? 0), 10),
+            stopped: encodeSeries(route.map(p => p.stopped ? 1 : 0)),
+            segments: encodeSeries(route.map(p => p.segment_index ?? 0)),
+            tracks: encodeSeries(route.map(p => p.track_index ?? 0)),
+            wind: windData.map(encodeSample)
+        };
+
+        const fragment = `share=${SHARE_FORMAT}.${await compressToBase64Url(JSON.stringify(payload))}`;
+        console.log(`Share link holds ${route.length} of ${points.length} points (${fragment.length} characters)`);
+        return fragment;
+    }
+
+    // Points spread evenly by distance up to maxPoints, plus the ends of
+    // every segment and stop so gaps and stops survive (see stopsFromFlags)
+    downsampleRoute(points, maxPoints) {
+        const spacing = points[points.length - 1].distance_km / maxPoints;
+        let lastKm = -Infinity;
+
+        return points.filter((point, i) => {
+            const previous = points[i - 1];
+            const next = points[i + 1];
+            const boundary = !previous || !next ||
+                this.isSegmentStart(points, i) || this.isSegmentStart(points, i + 1) ||
+                Boolean(point.stopped) !== Boolean(previous.stopped) ||
+                Boolean(point.stopped) !== Boolean(next.stopped);
+
+            if (boundary || point.distance_km - lastKm >= spacing) {
+                lastKm = point.distance_km;
+                return true;
+            }
+            return false;
+        });
+    }
+
+    // { name, options, stats, points, windData, stops } from a share link
+    // fragment (with or without the leading #). Points come back as
+    // analyzed, so they must not go through preparePoints again.
+    async decodeShareState(fragment) {
+        const match = new RegExp(`(?:^|[#&])share=${SHARE_FORMAT}\\.([A-Za-z0-9_-]+)`).exec(fragment);
+        if (!match) {
+            throw new Error("This link does not contain a shared analysis");
+        }
+
+        try {
+            return this.readSharePayload(JSON.parse(await decompressFromBase64Url(match[1])));
+        } catch (error) {
+            console.warn("Share link decoding error:", error.message);
+            throw new Error("This share link is damaged or incomplete");
+        }
+    }
+
+    // Unpack a decoded payload, throwing on anything encodeShareState would
+    // not have written: links can be edited by hand
+    readSharePayload(payload) {
+        if (typeof payload.name !== "string" || !Number.isFinite(payload.start)) {
+            throw new Error("Missing name or start time");
+        }
+
+        const coordinates = decodePolyline(payload.route);
+        if (coordinates.length < 2) {
+            throw new Error("Route has fewer than two points");
+        }
+        const series = (text, factor) => {
+            const values = decodeSeries(text, factor);
+            if (values.length !== coordinates.length) {
+                throw new Error("Series length does not match the route");
+            }
+            return values;
+        };
+
+        const elevations = series(payload.elevation, 10);
+        const times = series(payload.time);
+        const distances = series(payload.distance, 1000);
+        const speeds = series(payload.speed, 10);
+        const bearings = series(payload.bearing);
+        const grades = series(payload.grade, 10);
+        const stopped = series(payload.stopped);
+        const segments = series(payload.segments);
+        const tracks = series(payload.tracks);
+
+        const points = coordinates.map(([lat, lon], i) => ({
+            lat,
+            lon,
+            elevation: elevations[i],
+            time: new Date(payload.start + times[i] * 1000),
+            distance_km: distances[i],
+            speed_kmh: speeds[i],
+            bearing: bearings[i],
+            grade_pct: grades[i],
+            stopped: stopped[i] === 1,
+            track_index: tracks[i],
+            segment_index: segments[i]
+        }));
+
+        const options = {};
+        for (const [key, accepts] of Object.entries(SHARED_OPTIONS)) {
+            if (!accepts(payload.options?.[key])) {
+                throw new Error(`Invalid option ${key}`);
+            }
+            options[key] = payload.options[key];
+        }
+        if (options.plannedStartTime != null) {
+            options.plannedStartTime = new Date(options.plannedStartTime);
+        }
+
+        // Exactly the stats encodeShareState writes, as the stat cards use them all
+        const stats = payload.stats;
+        const statKeys = stats && typeof stats === "object" ? Object.keys(stats) : [];
+        if (statKeys.length !== SHARED_STATS.length + SHARED_NULLABLE_STATS.length ||
+            !SHARED_STATS.every(key => Number.isFinite(stats[key])) ||
+            !SHARED_NULLABLE_STATS.every(key => stats[key] === null || Number.isFinite(stats[key]))) {
+            throw new Error("Invalid statistics");
+        }
+
+        const decodeSample = (sample) => {
+            if (!sample || typeof sample !== "object" ||
+                !["time", "wind_speed", "wind_direction"].every(field => Number.isFinite(sample[field])) ||
+                !Object.entries(sample).every(([field, value]) =>
+                    field === "series" ? Array.isArray(value) : SHARED_WIND_FIELDS.includes(field) && Number.isFinite(value))) {
+                throw new Error("Invalid wind sample");
+            }
+            return {
+                ...sample,
+                time: new Date(sample.time),
+                ...(sample.series ? { series: sample.series.map(decodeSample) } : {})
+            };
+        };
+
+        return {
+            name: payload.name,
+            options,
+            stats,
+            points,
+            windData: payload.wind.map(decodeSample),
+            stops: this.stopsFromFlags(points)
+        };
+    }
+
+    // The SHARED_STATS fields of calculateRouteStatistics, NaN as null
+    pickSharedStats(stats) {
+        const shared = {};
+        for (const key of [...SHARED_STATS, ...SHARED_NULLABLE_STATS]) {
+            shared[key] = Number.isFinite(stats[key]) ? stats[key] : null;
+        }
+        return shared;
+    }
+
+    // Stops as detectStops returns them, for points whose stopped flags are
+    // already set
+    stopsFromFlags(points) {
+        const stops = [];
+
+        for (let i = 1; i < points.length; i++) {
+            if (!points[i].stopped || points[i - 1].stopped) continue;
+
+            let end = i;
+            while (end + 1 < points.length && points[end + 1].stopped) end++;
+
+            const start = points[i - 1];
+            stops.push({
+                startIndex: i - 1,
+                endIndex: end,
+                startTime: start.time,
+                endTime: points[end].time,
+                duration: (points[end].time - start.time) / 1000,
+                lat: start.lat,
+                lon: start.lon
+            });
+        }
+
+        return stops;
+    }
+
+    // Rebuild a shared analysis: its options replace the current ones (the
+    // caller restores them afterwards) and its wind samples are used instead
+    // of fetching. Returns the same as analyzePoints plus the ride name, with
+    // the stats of the original full-resolution ride.
+    async analyzeShareState(fragment) {
+        const shared = await this.decodeShareState(fragment);
+        this.setOptions(shared.options);
+
+        const { points, windData, stops } = this.applyWindData(shared.points, shared.windData, shared.stops);
+        return { name: shared.name, points, windData, stats: shared.stats, stops };
+    }
+
+    // Round section length giving at most MAX_COMPARISON_SECTIONS sections
+    chooseSectionLength(totalKm) {
+        const lengths = [0.5, 1, 2, 5, 10, 20, 50, 100];
+        return lengths.find(length => totalKm / length <= this.CONSTANTS.MAX_COMPARISON_SECTIONS) || 100;
+    }
+}
+
+// Export the class for use in other modules
+export default WindAnalysisCore;
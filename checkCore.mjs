@@ -0,0 +1,67 @@
+// Offline check of the analysis core in Node: runs example.gpx through the
+// whole pipeline with a local wind series instead of Open-Meteo and checks
+// the results hang together. Run with `node checkCore.mjs` (Node 18+).
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import WindAnalysisCore from "./WindAnalysisCore.js";
+import { LocalWindProvider } from "./weatherProviders.js";
+
+// Hourly wind for the day of example.gpx, veering through the day
+function windSeries(speed) {
+    const lines = ["time,wind_speed,wind_direction"];
+    for (let hour = 0; hour < 24; hour++) {
+        lines.push(`2017-09-23T${String(hour).padStart(2, "0")}:00:00Z,${speed},${(200 + hour * 10) % 360}`);
+    }
+    return lines.join("\n");
+}
+
+async function analyze(windSpeed) {
+    const core = new WindAnalysisCore({ weatherProvider: LocalWindProvider.fromText(windSeries(windSpeed)) });
+    return core.analyzeGPX(await readFile(new URL("./example.gpx", import.meta.url), "utf8"));
+}
+
+const log = console.log;
+console.log = console.warn = () => {}; // the pipeline logs every step
+
+const { points, windData, stats, stops } = await analyze(20);
+
+assert.equal(typeof document, "undefined", "the core must not need a DOM");
+assert.ok(points.length > 1000, "example.gpx has thousands of points");
+assert.ok(windData.length > 0, "wind was sampled along the route");
+assert.ok(Math.abs(stats.totalDistance - points[points.length - 1].distance_km) < 0.5, "distance adds up");
+assert.ok(stats.movingTime <= stats.elapsedTime, "moving time is part of elapsed time");
+assert.equal(stats.stopCount, stops.length, "every stop is counted");
+assert.ok(stats.headwindPercentage >= 0 && stats.headwindPercentage <= 100);
+
+for (const point of points) {
+    assert.ok(point.wind_speed >= 0 && point.wind_speed <= 20, "wind at rider height is below the 10 m wind");
+    assert.ok(Math.abs(point.wind_faced) <= point.wind_speed + 1e-9, "wind faced is a component of the wind");
+}
+
+// In still air the wind-neutral figures are the actual ones
+const calm = await analyze(0);
+assert.ok(Math.abs(calm.stats.neutralTime - calm.stats.movingTime) < 1 / 3600, "within a second of the moving time");
+assert.equal(calm.stats.avgWindFaced, 0);
+
+// A location without data in a batch only loses its own wind
+const local = LocalWindProvider.fromText(windSeries(20));
+const core = new WindAnalysisCore({
+    windSampling: "time-distance",
+    weatherProvider: {
+        name: "one location missing",
+        referenceHeight: local.referenceHeight,
+        requestDelay: 0,
+        maxBatchSize: 50,
+        getWindSeries: (lat, lon, startTime, endTime) => local.getWindSeries(lat, lon, startTime, endTime),
+        getWindSeriesBatch: async (locations, startTime, endTime) => {
+            const series = await local.getWindSeries(null, null, startTime, endTime);
+            return locations.map((location, i) => i === 1 ? [] : series);
+        }
+    }
+});
+const gappy = await core.analyzeGPX(await readFile(new URL("./example.gpx", import.meta.url), "utf8"));
+const withoutSeries = gappy.windData.filter(sample => !sample.series).length;
+assert.ok(withoutSeries > 0 && withoutSeries < gappy.windData.length, "only the empty location uses the default wind");
+
+log(`OK: ${points.length} points, ${stats.totalDistance.toFixed(1)} km, ` +
+    `${stats.headwindPercentage.toFixed(0)}% in headwind, ${stops.length} stops`);
@@ -0,0 +1,297 @@
+// Readers for digital elevation model (DEM) tiles supplied by the user, so
+// recorded GPS/barometric elevation can be replaced with surveyed terrain.
+// Supports SRTM .hgt tiles and single-band GeoTIFFs in geographic (lat/lon)
+// coordinates, uncompressed or Deflate-compressed.
+//
+// Every reader returns a grid { width, height, west, north, cellWidth,
+// cellHeight, noData, values } where (west, north) is the center of the
+// top-left cell; sampleDEM reads elevations from it.
+
+const HGT_NO_DATA = -32768;
+
+// TIFF tag numbers used below
+const TAGS = {
+    IMAGE_WIDTH: 256,
+    IMAGE_LENGTH: 257,
+    BITS_PER_SAMPLE: 258,
+    COMPRESSION: 259,
+    STRIP_OFFSETS: 273,
+    SAMPLES_PER_PIXEL: 277,
+    ROWS_PER_STRIP: 278,
+    STRIP_BYTE_COUNTS: 279,
+    PREDICTOR: 317,
+    TILE_WIDTH: 322,
+    TILE_LENGTH: 323,
+    TILE_OFFSETS: 324,
+    TILE_BYTE_COUNTS: 325,
+    SAMPLE_FORMAT: 339,
+    MODEL_PIXEL_SCALE: 33550,
+    MODEL_TIEPOINT: 33922,
+    GEO_KEY_DIRECTORY: 34735,
+    GDAL_NODATA: 42113
+};
+
+// TIFF field type → size in bytes and DataView getter
+const FIELD_TYPES = {
+    1: { size: 1, read: "getUint8" },
+    2: { size: 1, read: "getUint8" }, // ASCII
+    3: { size: 2, read: "getUint16" },
+    4: { size: 4, read: "getUint32" },
+    6: { size: 1, read: "getInt8" },
+    8: { size: 2, read: "getInt16" },
+    9: { size: 4, read: "getInt32" },
+    11: { size: 4, read: "getFloat32" },
+    12: { size: 8, read: "getFloat64" },
+    16: { size: 8, read: "getBigUint64" }
+};
+
+function toBytes(buffer) {
+    if (buffer instanceof Uint8Array) return buffer;
+    if (buffer instanceof ArrayBuffer) return new Uint8Array(buffer);
+    if (ArrayBuffer.isView(buffer)) return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    throw new Error("DEM data must be an ArrayBuffer or Uint8Array");
+}
+
+// SRTM tile: a square grid of big-endian int16 meters whose south-west
+// corner is given by the file name (e.g. N47E011.hgt)
+export function parseHGT(buffer, fileName) {
+    const bytes = toBytes(buffer);
+    const match = /([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(fileName || "");
+    if (!match) {
+        throw new Error("HGT file name must contain the tile corner, e.g. N47E011.hgt");
+    }
+
+    const size = Math.sqrt(bytes.length / 2);
+    if (!Number.isInteger(size) || size < 2) {
+        throw new Error("HGT file has an unexpected size");
+    }
+
+    const south = Number(match[2]) * (match[1].toUpperCase() === "S" ? -1 : 1);
+    const west = Number(match[4]) * (match[3].toUpperCase() === "W" ? -1 : 1);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const values = new Float32Array(size * size);
+
+    for (let i = 0; i < values.length; i++) {
+        values[i] = view.getInt16(i * 2, false);
+    }
+
+    return {
+        width: size,
+        height: size,
+        west,
+        north: south + 1,
+        cellWidth: 1 / (size - 1),
+        cellHeight: 1 / (size - 1),
+        noData: HGT_NO_DATA,
+        values
+    };
+}
+
+function readIFD(view, offset, littleEndian) {
+    const entries = new Map();
+    const count = view.getUint16(offset, littleEndian);
+
+    for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        const tag = view.getUint16(entry, littleEndian);
+        const type = FIELD_TYPES[view.getUint16(entry + 2, littleEndian)];
+        const valueCount = view.getUint32(entry + 4, littleEndian);
+        if (!type) continue;
+
+        const inline = type.size * valueCount <= 4;
+        const start = inline ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+        const values = [];
+        for (let j = 0; j < valueCount; j++) {
+            const value = type.size === 1
+                ? view[type.read](start + j)
+                : view[type.read](start + j * type.size, littleEndian);
+            values.push(typeof value === "bigint" ? Number(value) : value);
+        }
+
+        entries.set(tag, view.getUint16(entry + 2, littleEndian) === 2
+            ? String.fromCharCode(...values).replace(/\0+$/, "")
+            : values);
+    }
+
+    return entries;
+}
+
+async function inflate(bytes) {
+    if (typeof DecompressionStream === "undefined") {
+        throw new Error("Deflate-compressed GeoTIFFs need DecompressionStream support");
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Single-band GeoTIFF in a geographic coordinate system
+export async function parseGeoTIFF(buffer) {
+    const bytes = toBytes(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const order = String.fromCharCode(bytes[0], bytes[1]);
+    if (order !== "II" && order !== "MM") {
+        throw new Error("Not a TIFF file");
+    }
+
+    const littleEndian = order === "II";
+    if (view.getUint16(2, littleEndian) !== 42) {
+        throw new Error("BigTIFF files are not supported");
+    }
+
+    const ifd = readIFD(view, view.getUint32(4, littleEndian), littleEndian);
+    const get = (tag, fallback = null) => ifd.get(tag)?.[0] ?? fallback;
+
+    const width = get(TAGS.IMAGE_WIDTH);
+    const height = get(TAGS.IMAGE_LENGTH);
+    const bits = get(TAGS.BITS_PER_SAMPLE, 16);
+    const sampleFormat = get(TAGS.SAMPLE_FORMAT, 1);
+    const compression = get(TAGS.COMPRESSION, 1);
+    const predictor = get(TAGS.PREDICTOR, 1);
+
+    if (get(TAGS.SAMPLES_PER_PIXEL, 1) !== 1) {
+        throw new Error("GeoTIFF must have a single elevation band");
+    }
+    if (compression !== 1 && compression !== 8 && compression !== 32946) {
+        throw new Error("Only uncompressed or Deflate-compressed GeoTIFFs are supported");
+    }
+    if (predictor === 3) {
+        throw new Error("GeoTIFFs with the floating-point predictor are not supported");
+    }
+
+    const scale = ifd.get(TAGS.MODEL_PIXEL_SCALE);
+    const tiepoint = ifd.get(TAGS.MODEL_TIEPOINT);
+    if (!scale || !tiepoint) {
+        throw new Error("TIFF file has no georeferencing (ModelPixelScale/ModelTiepoint)");
+    }
+
+    // GeoKeyDirectory: header of 4 shorts, then [key, location, count, value]
+    const geoKeys = new Map();
+    const directory = ifd.get(TAGS.GEO_KEY_DIRECTORY) || [];
+    for (let i = 4; i + 3 < directory.length; i += 4) {
+        geoKeys.set(directory[i], directory[i + 3]);
+    }
+    if (geoKeys.get(1024) === 1) {
+        throw new Error("Projected GeoTIFFs are not supported, use a lat/lon (EPSG:4326) tile");
+    }
+
+    const sampleReader = {
+        "1/8": "getUint8", "1/16": "getUint16", "1/32": "getUint32",
+        "2/8": "getInt8", "2/16": "getInt16", "2/32": "getInt32",
+        "3/32": "getFloat32", "3/64": "getFloat64"
+    }[`${sampleFormat}/${bits}`];
+    if (!sampleReader) {
+        throw new Error(`Unsupported GeoTIFF sample type (${bits}-bit, format ${sampleFormat})`);
+    }
+
+    const sampleSize = bits / 8;
+
+    // Integer overflow as the stored sample type would wrap it, for the predictor
+    const wrap = sampleFormat === 2
+        ? (v) => (v << (32 - bits)) >> (32 - bits)
+        : (v) => bits === 32 ? v >>> 0 : v & ((1 << bits) - 1);
+
+    const values = new Float32Array(width * height);
+
+    // Strips are tiles as wide as the image
+    const tiled = ifd.has(TAGS.TILE_OFFSETS);
+    const blockWidth = tiled ? get(TAGS.TILE_WIDTH) : width;
+    const blockHeight = tiled ? get(TAGS.TILE_LENGTH) : get(TAGS.ROWS_PER_STRIP, height);
+    const offsets = ifd.get(tiled ? TAGS.TILE_OFFSETS : TAGS.STRIP_OFFSETS);
+    const byteCounts = ifd.get(tiled ? TAGS.TILE_BYTE_COUNTS : TAGS.STRIP_BYTE_COUNTS);
+    const blocksAcross = Math.ceil(width / blockWidth);
+
+    for (let b = 0; b < offsets.length; b++) {
+        let block = bytes.subarray(offsets[b], offsets[b] + byteCounts[b]);
+        if (compression !== 1) {
+            block = await inflate(block);
+        }
+        const blockView = new DataView(block.buffer, block.byteOffset, block.byteLength);
+        const originX = (b % blocksAcross) * blockWidth;
+        const originY = Math.floor(b / blocksAcross) * blockHeight;
+
+        for (let row = 0; row < blockHeight && originY + row < height; row++) {
+            let previous = 0;
+            for (let col = 0; col < blockWidth; col++) {
+                const position = (row * blockWidth + col) * sampleSize;
+                if (position + sampleSize > block.length) break;
+
+                let value = sampleSize === 1
+                    ? blockView[sampleReader](position)
+                    : blockView[sampleReader](position, littleEndian);
+
+                // Horizontal differencing: each sample stores the change from its left neighbour
+                if (predictor === 2) {
+                    value = wrap(value + previous);
+                    previous = value;
+                }
+
+                if (originX + col < width) {
+                    values[(originY + row) * width + originX + col] = value;
+                }
+            }
+        }
+    }
+
+    // PixelIsArea tiepoints mark the corner of the first cell, PixelIsPoint its center
+    const pixelIsPoint = geoKeys.get(1025) === 2;
+    const [cellWidth, cellHeight] = scale;
+    const [i, j, , x, y] = tiepoint;
+    // Compared against the Float32Array cells, so rounded to float32 as well
+    const noDataText = ifd.get(TAGS.GDAL_NODATA);
+    const noData = noDataText != null ? Math.fround(parseFloat(noDataText)) : NaN;
+
+    return {
+        width,
+        height,
+        west: x - i * cellWidth + (pixelIsPoint ? 0 : cellWidth / 2),
+        north: y + j * cellHeight - (pixelIsPoint ? 0 : cellHeight / 2),
+        cellWidth,
+        cellHeight,
+        noData: Number.isNaN(noData) ? null : noData,
+        values
+    };
+}
+
+// Read a DEM tile by file extension (.hgt, .tif/.tiff)
+export async function readDEM(buffer, fileName = "") {
+    if (/\.hgt$/i.test(fileName)) {
+        return parseHGT(buffer, fileName);
+    }
+    if (/\.tiff?$/i.test(fileName)) {
+        return parseGeoTIFF(buffer);
+    }
+    throw new Error("Unsupported elevation file, use an SRTM .hgt or a GeoTIFF (.tif)");
+}
+
+// Bilinear elevation at a position, or null outside the tile or where
+// every surrounding cell is no-data
+export function sampleDEM(grid, lat, lon) {
+    const col = (lon - grid.west) / grid.cellWidth;
+    const row = (grid.north - lat) / grid.cellHeight;
+    if (col < 0 || row < 0 || col > grid.width - 1 || row > grid.height - 1) {
+        return null;
+    }
+
+    const col0 = Math.floor(col);
+    const row0 = Math.floor(row);
+    const col1 = Math.min(col0 + 1, grid.width - 1);
+    const row1 = Math.min(row0 + 1, grid.height - 1);
+    const fx = col - col0;
+    const fy = row - row0;
+
+    let sum = 0;
+    let weight = 0;
+    for (const [r, c, w] of [
+        [row0, col0, (1 - fx) * (1 - fy)],
+        [row0, col1, fx * (1 - fy)],
+        [row1, col0, (1 - fx) * fy],
+        [row1, col1, fx * fy]
+    ]) {
+        const value = grid.values[r * grid.width + c];
+        if (value === grid.noData || Number.isNaN(value)) continue;
+        sum += value * w;
+        weight += w;
+    }
+
+    return weight > 0 ? sum / weight : null;
+}
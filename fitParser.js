@@ -0,0 +1,230 @@
+// Minimal reader for Garmin FIT activity files, used by the analysis core so
+// .fit exports can be analyzed without converting them to GPX first.
+// Handles normal and compressed-timestamp record headers, developer fields
+// (skipped), both byte orders and chained FIT files.
+
+// Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+const FIT_EPOCH_OFFSET = 631065600;
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+const RECORD_MESSAGE = 20;
+const TIMESTAMP_FIELD = 253;
+
+// Base type number → size in bytes, DataView getter and invalid value
+const BASE_TYPES = {
+    0: { size: 1, read: "getUint8", invalid: 0xFF }, // enum
+    1: { size: 1, read: "getInt8", invalid: 0x7F },
+    2: { size: 1, read: "getUint8", invalid: 0xFF },
+    3: { size: 2, read: "getInt16", invalid: 0x7FFF },
+    4: { size: 2, read: "getUint16", invalid: 0xFFFF },
+    5: { size: 4, read: "getInt32", invalid: 0x7FFFFFFF },
+    6: { size: 4, read: "getUint32", invalid: 0xFFFFFFFF },
+    7: { size: 1, string: true },
+    8: { size: 4, read: "getFloat32", invalid: NaN },
+    9: { size: 8, read: "getFloat64", invalid: NaN },
+    10: { size: 1, read: "getUint8", invalid: 0 }, // uint8z
+    11: { size: 2, read: "getUint16", invalid: 0 }, // uint16z
+    12: { size: 4, read: "getUint32", invalid: 0 }, // uint32z
+    13: { size: 1, read: "getUint8", invalid: 0xFF }, // byte
+    14: { size: 8, read: "getBigInt64", invalid: 0x7FFFFFFFFFFFFFFFn },
+    15: { size: 8, read: "getBigUint64", invalid: 0xFFFFFFFFFFFFFFFFn },
+    16: { size: 8, read: "getBigUint64", invalid: 0n } // uint64z
+};
+
+const CRC_TABLE = [
+    0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+    0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+];
+
+function crc16(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        const byte = bytes[i];
+        let tmp = CRC_TABLE[crc & 0xF];
+        crc = (crc >> 4) & 0x0FFF;
+        crc = crc ^ tmp ^ CRC_TABLE[byte & 0xF];
+        tmp = CRC_TABLE[crc & 0xF];
+        crc = (crc >> 4) & 0x0FFF;
+        crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xF];
+    }
+    return crc;
+}
+
+function toBytes(buffer) {
+    if (buffer instanceof Uint8Array) return buffer;
+    if (buffer instanceof ArrayBuffer) return new Uint8Array(buffer);
+    if (ArrayBuffer.isView(buffer)) return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    throw new Error("FIT data must be an ArrayBuffer or Uint8Array");
+}
+
+function readValue(view, offset, size, baseType, littleEndian) {
+    const type = BASE_TYPES[baseType & 0x1F];
+
+    // Unknown types are returned as raw bytes
+    if (!type) {
+        return new Uint8Array(view.buffer, view.byteOffset + offset, size).slice();
+    }
+
+    if (type.string) {
+        const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, size);
+        const end = bytes.indexOf(0);
+        return new TextDecoder().decode(end >= 0 ? bytes.subarray(0, end) : bytes);
+    }
+
+    const values = [];
+    for (let pos = 0; pos + type.size <= size; pos += type.size) {
+        let value = type.size === 1
+            ? view[type.read](offset + pos)
+            : view[type.read](offset + pos, littleEndian);
+        if (typeof value === "bigint") {
+            value = value === type.invalid ? null : Number(value);
+        } else if (value === type.invalid || Number.isNaN(value)) {
+            value = null;
+        }
+        values.push(value);
+    }
+
+    return values.length === 1 ? values[0] : values;
+}
+
+// Decode one FIT file starting at offset; returns the offset after its CRC
+function decodeFile(bytes, view, start, messages) {
+    const headerSize = bytes[start];
+    if (headerSize < 12 || start + headerSize > bytes.length) {
+        throw new Error("Invalid FIT header");
+    }
+
+    const signature = String.fromCharCode(...bytes.subarray(start + 8, start + 12));
+    if (signature !== ".FIT") {
+        throw new Error("Missing .FIT signature");
+    }
+
+    const dataSize = view.getUint32(start + 4, true);
+    const end = start + headerSize + dataSize;
+    if (end > bytes.length) {
+        throw new Error("FIT file is truncated");
+    }
+
+    if (end + 2 <= bytes.length && view.getUint16(end, true) !== crc16(bytes, start, end)) {
+        console.warn("FIT file CRC mismatch, data may be corrupted");
+    }
+
+    const definitions = new Map();
+    let lastTimestamp = null;
+    let pos = start + headerSize;
+
+    while (pos < end) {
+        const header = bytes[pos++];
+
+        // Compressed timestamp header: a data message with a 5-bit time offset
+        if (header & 0x80) {
+            const localType = (header >> 5) & 0x03;
+            const timeOffset = header & 0x1F;
+            if (lastTimestamp !== null) {
+                lastTimestamp += (timeOffset - (lastTimestamp & 0x1F)) & 0x1F;
+            }
+            pos = readDataMessage(view, pos, definitions.get(localType), messages, lastTimestamp);
+            continue;
+        }
+
+        const localType = header & 0x0F;
+
+        if (header & 0x40) {
+            const littleEndian = bytes[pos + 1] === 0;
+            const definition = {
+                littleEndian,
+                globalNumber: view.getUint16(pos + 2, littleEndian),
+                fields: [],
+                developerSize: 0
+            };
+            const fieldCount = bytes[pos + 4];
+            pos += 5;
+
+            for (let i = 0; i < fieldCount; i++, pos += 3) {
+                definition.fields.push({ number: bytes[pos], size: bytes[pos + 1], baseType: bytes[pos + 2] });
+            }
+
+            // Developer fields are skipped: only their sizes are needed
+            if (header & 0x20) {
+                const developerCount = bytes[pos++];
+                for (let i = 0; i < developerCount; i++, pos += 3) {
+                    definition.developerSize += bytes[pos + 1];
+                }
+            }
+
+            definitions.set(localType, definition);
+            continue;
+        }
+
+        pos = readDataMessage(view, pos, definitions.get(localType), messages, null);
+        const timestamp = messages[messages.length - 1].fields[TIMESTAMP_FIELD];
+        if (timestamp != null) {
+            lastTimestamp = timestamp;
+        }
+    }
+
+    return end + 2;
+}
+
+function readDataMessage(view, pos, definition, messages, compressedTimestamp) {
+    if (!definition) {
+        throw new Error("FIT data message without a definition");
+    }
+
+    const fields = {};
+    for (const field of definition.fields) {
+        fields[field.number] = readValue(view, pos, field.size, field.baseType, definition.littleEndian);
+        pos += field.size;
+    }
+
+    if (compressedTimestamp !== null && fields[TIMESTAMP_FIELD] == null) {
+        fields[TIMESTAMP_FIELD] = compressedTimestamp;
+    }
+
+    messages.push({ globalNumber: definition.globalNumber, fields });
+
+    return pos + definition.developerSize;
+}
+
+// Decode a FIT file into [{ globalNumber, fields: { [fieldNumber]: value } }]
+// messages. Values are raw (unscaled); invalid values are null.
+export function decodeFIT(buffer) {
+    const bytes = toBytes(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const messages = [];
+
+    if (bytes.length < 12) {
+        throw new Error("File is too short to be a FIT file");
+    }
+
+    // Chained FIT files are stored back to back
+    let pos = 0;
+    while (pos + 12 <= bytes.length) {
+        pos = decodeFile(bytes, view, pos, messages);
+    }
+
+    return messages;
+}
+
+// Record messages as { time, lat, lon, altitude, heart_rate, cadence, power,
+// temperature, distance, speed } in degrees, meters, m/s, W and °C.
+// Fields the device did not write are null.
+export function getFITRecords(messages) {
+    const scaled = (value, scale, offset = 0) => value == null ? null : value / scale - offset;
+
+    return messages
+        .filter(message => message.globalNumber === RECORD_MESSAGE)
+        .map(({ fields }) => ({
+            time: fields[TIMESTAMP_FIELD] != null
+                ? new Date((fields[TIMESTAMP_FIELD] + FIT_EPOCH_OFFSET) * 1000)
+                : null,
+            lat: fields[0] != null ? fields[0] * SEMICIRCLES_TO_DEGREES : null,
+            lon: fields[1] != null ? fields[1] * SEMICIRCLES_TO_DEGREES : null,
+            altitude: scaled(fields[78] ?? fields[2], 5, 500),
+            heart_rate: fields[3] ?? null,
+            cadence: fields[4] ?? null,
+            power: fields[7] ?? null,
+            temperature: fields[13] ?? null,
+            distance: scaled(fields[5], 100),
+            speed: scaled(fields[73] ?? fields[6], 1000)
+        }));
+}
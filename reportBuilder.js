@@ -0,0 +1,246 @@
+// Shareable ride reports: a self-contained HTML document (route, charts and
+// stats inlined, nothing to fetch, no scripts) and a PNG snapshot of the same
+// content drawn on a canvas. A report is { title, subtitle, mapSVG, stats:
+// [{ value, detail, label }], charts: [{ title, svg }] } with SVG markup
+// strings; the PNG needs a browser canvas.
+
+const REPORT_STYLES = `
+    body { margin: 0; background: #f3f4f6; color: #1f2937; font-family: system-ui, -apple-system, "Segoe UI", sans-serif; }
+    main { max-width: 1000px; margin: 0 auto; padding: 32px 20px; }
+    h1 { margin: 0; font-size: 28px; font-weight: 600; }
+    .subtitle { margin: 4px 0 24px; color: #6b7280; font-size: 14px; }
+    .card { background: white; border: 1px solid #e5e7eb; border-radius: 8px; padding: 20px; margin-bottom: 20px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.05); }
+    .card h2 { margin: 0 0 12px; text-align: center; font-size: 18px; font-weight: 500; color: #4b5563; }
+    .card svg { display: block; max-width: 100%; height: auto; margin: 0 auto; }
+    .stats { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 16px; margin-bottom: 20px; }
+    .stat { background: linear-gradient(to bottom right, #2563eb, #60a5fa); color: white; border-radius: 8px; padding: 20px; text-align: center; }
+    .stat .value { font-size: 26px; font-weight: 300; margin-bottom: 6px; }
+    .stat .detail { font-size: 13px; opacity: 0.9; margin-bottom: 6px; }
+    .stat .label { font-size: 12px; font-weight: 500; opacity: 0.9; text-transform: uppercase; letter-spacing: 0.05em; }
+    footer { text-align: center; color: #9ca3af; font-size: 12px; }
+    @media print {
+        body { background: white; }
+        .card, .stat { break-inside: avoid; box-shadow: none; }
+        .stat { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    }
+`;
+
+// Ends of the route's color scale
+const LEGEND_LABELS = ["Tailwind", "Headwind"];
+
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, (c) => ({
+        "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+    })[c]);
+}
+
+// Web Mercator y for a latitude, so the route keeps the map's proportions
+function mercatorY(lat) {
+    const radians = lat * Math.PI / 180;
+    return Math.log(Math.tan(Math.PI / 4 + radians / 2)) * 180 / Math.PI;
+}
+
+// The route as an SVG on a plain background, each stretch colored by
+// colorFor(point). Consecutive stretches of the same color are joined, so
+// callers should round the values they color by. legendColors draws the
+// tailwind-to-headwind scale underneath.
+export function renderRouteSVG(points, colorFor, { width = 800, height = 500, padding = 24, maxPoints = 3000, legendColors = null } = {}) {
+    const legendHeight = legendColors ? 36 : 0;
+    const mapHeight = height - legendHeight;
+
+    // Thin long tracks, keeping the first point of every segment
+    const step = Math.max(1, Math.ceil(points.length / maxPoints));
+    const sampled = points.filter((point, i) =>
+        i % step === 0 || i === points.length - 1 || (i > 0 && point.segment_index !== points[i - 1].segment_index));
+
+    const xs = sampled.map(p => p.lon);
+    const ys = sampled.map(p => mercatorY(p.lat));
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    const minY = Math.min(...ys);
+    const maxY = Math.max(...ys);
+    const scale = Math.min(
+        (width - 2 * padding) / Math.max(maxX - minX, 1e-9),
+        (mapHeight - 2 * padding) / Math.max(maxY - minY, 1e-9)
+    );
+    const offsetX = (width - (maxX - minX) * scale) / 2;
+    const offsetY = (mapHeight - (maxY - minY) * scale) / 2;
+    const project = (i) => `${(offsetX + (xs[i] - minX) * scale).toFixed(1)},${(offsetY + (maxY - ys[i]) * scale).toFixed(1)}`;
+
+    const lines = [];
+    let current = null;
+    for (let i = 1; i < sampled.length; i++) {
+        if (sampled[i].segment_index !== sampled[i - 1].segment_index) {
+            current = null;
+            continue;
+        }
+
+        const color = colorFor(sampled[i]);
+        if (!current || current.color !== color) {
+            current = { color, coordinates: [project(i - 1)] };
+            lines.push(current);
+        }
+        current.coordinates.push(project(i));
+    }
+
+    const marker = (i, fill) => {
+        const [x, y] = project(i).split(",");
+        return `<circle cx="${x}" cy="${y}" r="7" fill="${fill}" stroke="white" stroke-width="2"/>`;
+    };
+
+    let legend = "";
+    if (legendColors) {
+        const stops = legendColors
+            .map((color, i) => `<stop offset="${(i / (legendColors.length - 1)) * 100}%" stop-color="${color}"/>`)
+            .join("");
+        const top = mapHeight + 8;
+        legend = `
+            <defs><linearGradient id="windLegend">${stops}</linearGradient></defs>
+            <text x="${width / 2 - 110}" y="${top + 12}" text-anchor="end" font-size="12" fill="#4b5563">${LEGEND_LABELS[0]}</text>
+            <rect x="${width / 2 - 100}" y="${top + 2}" width="200" height="12" rx="6" fill="url(#windLegend)"/>
+            <text x="${width / 2 + 110}" y="${top + 12}" font-size="12" fill="#4b5563">${LEGEND_LABELS[1]}</text>`;
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="system-ui, sans-serif">
+        <rect width="${width}" height="${mapHeight}" rx="8" fill="#f8fafc"/>
+        ${lines.map(line => `<polyline points="${line.coordinates.join(" ")}" fill="none" stroke="${line.color}" stroke-width="5" stroke-linecap="round" stroke-linejoin="round"/>`).join("\n")}
+        ${sampled.length > 0 ? marker(0, "#16a34a") + marker(sampled.length - 1, "#dc2626") : ""}
+        ${legend}
+    </svg>`;
+}
+
+export function buildReportHTML({ title, subtitle = "", mapSVG, stats, charts }) {
+    const statCards = stats.map(item => `
+            <div class="stat">
+                <div class="value">${escapeHTML(item.value)}</div>
+                ${item.detail ? `<div class="detail">${escapeHTML(item.detail)}</div>` : ""}
+                <div class="label">${escapeHTML(item.label)}</div>
+            </div>`).join("");
+
+    const chartCards = charts.map(chart => `
+        <section class="card">
+            <h2>${escapeHTML(chart.title)}</h2>
+            ${chart.svg}
+        </section>`).join("");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeHTML(title)} · Wind Analysis</title>
+    <style>${REPORT_STYLES}</style>
+</head>
+<body>
+    <main>
+        <h1>${escapeHTML(title)}</h1>
+        <p class="subtitle">${escapeHTML(subtitle)}</p>
+        <section class="card">
+            <h2>🗺️ Route by Wind Faced</h2>
+            ${mapSVG}
+        </section>
+        <div class="stats">${statCards}
+        </div>
+        ${chartCards}
+        <footer>Generated by GPX Wind Analyzer on ${escapeHTML(new Date().toLocaleString())}</footer>
+    </main>
+</body>
+</html>
+`;
+}
+
+async function loadSVGImage(svg) {
+    const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+        return image;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// PNG snapshot of a report: title, route, a grid of stats and the charts
+// stacked on one canvas. Resolves to a Blob.
+export async function renderReportPNG({ title, subtitle = "", mapSVG, stats, charts }, { width = 1000, scale = 2 } = {}) {
+    const margin = 24;
+    const inner = width - 2 * margin;
+    const columns = 4;
+    const gap = 12;
+    const statWidth = (inner - (columns - 1) * gap) / columns;
+    const statHeight = 88;
+
+    const images = await Promise.all([mapSVG, ...charts.map(chart => chart.svg)].map(loadSVGImage));
+    const fitted = images.map(image => ({
+        image,
+        height: inner * image.naturalHeight / image.naturalWidth
+    }));
+
+    const statRows = Math.ceil(stats.length / columns);
+    const height = margin + 70 +
+        fitted[0].height + margin +
+        statRows * (statHeight + gap) + margin +
+        fitted.slice(1).reduce((sum, { height: h }) => sum + h + 30 + margin, 0);
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const ctx = canvas.getContext("2d");
+    ctx.scale(scale, scale);
+
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, width, height);
+
+    let y = margin;
+    ctx.fillStyle = "#1f2937";
+    ctx.font = "600 26px system-ui, sans-serif";
+    ctx.fillText(title, margin, y + 28);
+    ctx.fillStyle = "#6b7280";
+    ctx.font = "14px system-ui, sans-serif";
+    ctx.fillText(subtitle, margin, y + 52);
+    y += 70;
+
+    ctx.drawImage(fitted[0].image, margin, y, inner, fitted[0].height);
+    y += fitted[0].height + margin;
+
+    ctx.textAlign = "center";
+    stats.forEach((item, i) => {
+        const x = margin + (i % columns) * (statWidth + gap);
+        const top = y + Math.floor(i / columns) * (statHeight + gap);
+
+        const gradient = ctx.createLinearGradient(x, top, x + statWidth, top + statHeight);
+        gradient.addColorStop(0, "#2563eb");
+        gradient.addColorStop(1, "#60a5fa");
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        if (ctx.roundRect) {
+            ctx.roundRect(x, top, statWidth, statHeight, 8);
+        } else {
+            ctx.rect(x, top, statWidth, statHeight);
+        }
+        ctx.fill();
+
+        ctx.fillStyle = "#ffffff";
+        ctx.font = "300 22px system-ui, sans-serif";
+        ctx.fillText(item.value, x + statWidth / 2, top + 32, statWidth - 12);
+        ctx.font = "12px system-ui, sans-serif";
+        if (item.detail) ctx.fillText(item.detail, x + statWidth / 2, top + 52, statWidth - 12);
+        ctx.font = "500 11px system-ui, sans-serif";
+        ctx.fillText(item.label.toUpperCase(), x + statWidth / 2, top + 74, statWidth - 12);
+    });
+    y += statRows * (statHeight + gap) + margin;
+
+    charts.forEach((chart, i) => {
+        ctx.fillStyle = "#4b5563";
+        ctx.font = "500 16px system-ui, sans-serif";
+        ctx.fillText(chart.title, width / 2, y + 18);
+        y += 30;
+        ctx.drawImage(fitted[i + 1].image, margin, y, inner, fitted[i + 1].height);
+        y += fitted[i + 1].height + margin;
+    });
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("Could not create the PNG")), "image/png");
+    });
+}
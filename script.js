@@ -1,9 +1,17 @@
 // Import the CyclistWindAnalyzer class
 import CyclistWindAnalyzer from './CyclistWindAnalyzer.js';
+import { LocalWindProvider, OpenMeteoForecastProvider } from './weatherProviders.js';
+import { readDEM } from './demReader.js';
 
 // Initialize the application
 const analyzer = new CyclistWindAnalyzer();
 
+// Wind sources: a loaded local file wins, otherwise archive data for
+// recorded rides and forecasts in planning mode
+const archiveProvider = analyzer.weatherProvider;
+const forecastProvider = new OpenMeteoForecastProvider();
+let localWindProvider = null;
+
 // Drag and drop functionality
 const fileDropArea = document.getElementById("fileDropArea");
 const fileInput = document.getElementById("gpxFile");
@@ -44,17 +52,110 @@ function handleDrop(e) {
     const files = dt.files;
 
     if (files.length > 0) {
-        handleFileSelection(files[0]);
+        handleFileSelection(files[0], [...files].slice(1));
+    }
+}
+
+// Read the analysis settings panel into analyzer options
+function applyAnalysisSettings() {
+    const readNumber = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return value > 0 ? value : fallback;
+    };
+    // For settings where 0 switches the feature off
+    const readWindow = (id) => Math.max(parseFloat(document.getElementById(id).value) || 0, 0);
+
+    analyzer.setOptions({
+        windSampling: document.getElementById("windSamplingSelect").value,
+        sampleDistanceKm: readNumber("sampleDistanceInput", 10),
+        cda: readNumber("cdaInput", 0.32),
+        totalMass: readNumber("massInput", 85),
+        crr: readNumber("crrInput", 0.005),
+        crosswindThreshold: readNumber("crosswindThresholdInput", 20),
+        stopSpeedThreshold: readNumber("stopSpeedInput", 3),
+        minStopDuration: readNumber("minStopDurationInput", 60),
+        rejectOutliers: document.getElementById("rejectOutliersInput").checked,
+        smoothing: document.getElementById("smoothingSelect").value,
+        smoothingWindow: readNumber("smoothingWindowInput", 10),
+        bearingWindow: readWindow("bearingWindowInput"),
+        elevationSmoothing: readWindow("elevationSmoothingInput"),
+        roughnessLength: readNumber("roughnessInput", 0.1),
+        riderHeight: readNumber("riderHeightInput", 1.5)
+    });
+
+    const planning = document.getElementById("planningModeInput").checked;
+    const plannedStart = new Date(document.getElementById("plannedStartInput").value);
+    if (planning && isNaN(plannedStart.getTime())) {
+        throw new Error("Please pick a start time for the planned ride");
+    }
+
+    analyzer.setOptions({
+        plannedStartTime: planning ? plannedStart : null,
+        plannedSpeed: readNumber("plannedSpeedInput", 25)
+    });
+    analyzer.setWeatherProvider(localWindProvider || (planning ? forecastProvider : archiveProvider));
+}
+
+// Show which wind source is in use; local wind data overrides both Open-Meteo providers
+function updateWindSourceLabel() {
+    const label = document.getElementById("windFileLabel");
+    label.textContent = localWindProvider
+        ? `🌬️ Using local wind data: ${localWindProvider.name}`
+        : "Use local wind data (JSON/CSV) instead of Open-Meteo";
+    document.getElementById("clearWindFileBtn").classList.toggle("hidden", !localWindProvider);
+}
+
+// Planned rides default to tomorrow morning (datetime-local wants local time)
+function setDefaultPlannedStart() {
+    const start = new Date();
+    start.setDate(start.getDate() + 1);
+    start.setHours(9, 0, 0, 0);
+    const pad = (n) => String(n).padStart(2, "0");
+    document.getElementById("plannedStartInput").value =
+        `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}T${pad(start.getHours())}:${pad(start.getMinutes())}`;
+}
+
+setDefaultPlannedStart();
+analyzer.renderHistory();
+
+// Share links carry the whole analysis in the URL fragment
+function openSharedLink() {
+    if (location.hash.includes("share=")) {
+        analyzer.openSharedAnalysis(location.hash);
     }
 }
 
-async function handleFileSelection(file) {
-    if (file && file.name.toLowerCase().endsWith(".gpx")) {
+openSharedLink();
+window.addEventListener("hashchange", openSharedLink);
+
+// Terrain presets fill in the roughness length; editing it by hand selects "Custom"
+document
+    .getElementById("roughnessPresetSelect")
+    .addEventListener("change", function () {
+        const preset = analyzer.ROUGHNESS_PRESETS[this.value];
+        if (preset) {
+            document.getElementById("roughnessInput").value = preset.roughnessLength;
+        }
+    });
+
+document
+    .getElementById("roughnessInput")
+    .addEventListener("input", function () {
+        document.getElementById("roughnessPresetSelect").value = "custom";
+    });
+
+// Further files are compared with the first one once it is analyzed
+async function handleFileSelection(file, comparisonFiles = []) {
+    const format = file ? await analyzer.detectFileFormat(file) : null;
+    if (format) {
         try {
             console.log(
-                `Processing GPX file: ${file.name} (${file.size} bytes)`
+                `Processing ${format.toUpperCase()} file: ${file.name} (${file.size} bytes)`
             );
-            const success = await analyzer.readGPXFile(file);
+            // GPS filtering and planned timing happen while the file is parsed, so settings go first
+            analyzer.closeSharedView();
+            applyAnalysisSettings();
+            const success = await analyzer.readTrackFile(file, format);
             if (success) {
                 document.querySelector(
                     'label[for="gpxFile"]'
@@ -63,6 +164,9 @@ async function handleFileSelection(file) {
                 try {
                     await analyzer.analyze();
                     // Analysis completed successfully - results should now be visible
+                    if (comparisonFiles.length > 0) {
+                        await addComparisonFiles(comparisonFiles);
+                    }
                 } catch (error) {
                     console.error("Analysis error:", error);
                     alert("Error during analysis: " + error.message);
@@ -76,16 +180,16 @@ async function handleFileSelection(file) {
                 throw new Error("No valid GPS data found in file");
             }
         } catch (error) {
-            console.error("Error reading GPX file:", error);
+            console.error("Error reading track file:", error);
 
             // Provide more specific error messages
-            let errorMessage = "Error reading GPX file: " + error.message;
-            if (error.message.includes("No GPS points found")) {
+            let errorMessage = "Error reading track file: " + error.message;
+            if (error.message.includes("No GPS points found") || error.message.includes("No LineString coordinates")) {
                 errorMessage +=
-                    "\n\nThis GPX file might be:\n• A waypoint-only file\n• Missing track/route data\n• Corrupted or incomplete";
-            } else if (error.message.includes("Invalid GPX file format")) {
+                    "\n\nThis file might be:\n• A waypoint-only file\n• Missing track/route data\n• Corrupted or incomplete";
+            } else if (/Invalid \w+ file format/.test(error.message)) {
                 errorMessage +=
-                    "\n\nPlease ensure this is a valid GPX file exported from a GPS device or cycling app.";
+                    `\n\nPlease ensure this is a valid ${format.toUpperCase()} file exported from a GPS device or cycling app.`;
             }
 
             alert(errorMessage);
@@ -94,7 +198,22 @@ async function handleFileSelection(file) {
             ).innerHTML = `❌ ${file.name}<br><small class="text-red-600">Failed to load file</small>`;
         }
     } else {
-        alert("Please select a valid GPX file (.gpx extension required).");
+        alert("Please select a valid track file (.gpx, .fit, .tcx or .geojson).");
+    }
+}
+
+// Other recordings of the loaded route, analyzed against recorded weather
+async function addComparisonFiles(files) {
+    // Restored as it was rather than re-read from the settings form, which may have changed since
+    const previousProvider = analyzer.weatherProvider;
+    analyzer.setWeatherProvider(localWindProvider || archiveProvider);
+    try {
+        await analyzer.addComparisonRides(files);
+    } catch (error) {
+        console.error("Comparison error:", error);
+        alert("Error comparing rides: " + error.message);
+    } finally {
+        analyzer.setWeatherProvider(previousProvider);
     }
 }
 
@@ -130,27 +249,168 @@ document
         // Reset form
         document.getElementById("gpxFile").value = "";
         document.querySelector('label[for="gpxFile"]').innerHTML =
-            "📁 Choose GPX File or Drag & Drop<br><small>Analysis will start automatically once loaded</small>";
+            "📁 Choose a GPX, FIT, TCX or GeoJSON File or Drag & Drop<br><small>Analysis will start automatically once loaded. Pick several rides of the same route to compare them</small>";
+
+        // A reload should not bring back a shared analysis
+        if (location.hash.includes("share=")) {
+            history.replaceState(null, "", location.pathname + location.search);
+        }
+        analyzer.closeSharedView();
 
         // Clear any existing data
         analyzer.gpxData = [];
         analyzer.windData = [];
+        analyzer.comparisonRides = [];
         if (analyzer.map) {
             analyzer.map.remove();
             analyzer.map = null;
         }
+
+        // Redraw now that the upload screen has its width again
+        analyzer.renderHistory();
     });
 
 // Event listeners
 document
     .getElementById("gpxFile")
     .addEventListener("change", async function (event) {
-        const file = event.target.files[0];
+        const [file, ...comparisonFiles] = event.target.files;
         if (file) {
-            await handleFileSelection(file);
+            await handleFileSelection(file, comparisonFiles);
+        }
+    });
+
+document
+    .getElementById("exportBtn")
+    .addEventListener("click", function () {
+        try {
+            analyzer.exportRide(document.getElementById("exportFormatSelect").value);
+        } catch (error) {
+            console.error("Export error:", error);
+            alert("Error exporting ride: " + error.message);
+        }
+    });
+
+document
+    .getElementById("reportBtn")
+    .addEventListener("click", async function () {
+        try {
+            await analyzer.downloadReport(document.getElementById("reportTypeSelect").value);
+        } catch (error) {
+            console.error("Report error:", error);
+            alert("Error creating report: " + error.message);
         }
     });
 
+document
+    .getElementById("shareBtn")
+    .addEventListener("click", async function () {
+        const button = this;
+        let link;
+        try {
+            link = await analyzer.createShareLink();
+            history.replaceState(null, "", link);
+            await navigator.clipboard.writeText(link);
+            button.textContent = "✅ Link Copied";
+            setTimeout(() => { button.textContent = "🔗 Share"; }, 2000);
+        } catch (error) {
+            if (link) {
+                // Clipboard access is refused outside secure contexts
+                prompt("Copy this link to share the analysis:", link);
+            } else {
+                console.error("Share error:", error);
+                alert("Error creating share link: " + error.message);
+            }
+        }
+    });
+
+document
+    .getElementById("compareFile")
+    .addEventListener("change", async function (event) {
+        const files = [...event.target.files];
+        event.target.value = "";
+        if (files.length > 0) {
+            await addComparisonFiles(files);
+        }
+    });
+
+// Local wind data: replaces Open-Meteo for every following analysis
+document
+    .getElementById("windFile")
+    .addEventListener("change", async function (event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            localWindProvider = LocalWindProvider.fromText(text, { name: file.name });
+            analyzer.setWeatherProvider(localWindProvider);
+            updateWindSourceLabel();
+        } catch (error) {
+            console.error("Error reading wind data file:", error);
+            alert("Error reading wind data file: " + error.message);
+            event.target.value = "";
+        }
+    });
+
+document
+    .getElementById("clearWindFileBtn")
+    .addEventListener("click", function () {
+        localWindProvider = null;
+        document.getElementById("windFile").value = "";
+        updateWindSourceLabel();
+
+        // Back to the archive, or the forecast in planning mode
+        const planning = document.getElementById("planningModeInput").checked;
+        analyzer.setWeatherProvider(planning ? forecastProvider : archiveProvider);
+    });
+
+// DEM tile: replaces recorded elevation for every following file
+document
+    .getElementById("demFile")
+    .addEventListener("change", async function (event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const label = document.getElementById("demFileLabel");
+        try {
+            const grid = await readDEM(await file.arrayBuffer(), file.name);
+            analyzer.setElevationModel(grid);
+            label.textContent = `⛰️ Using elevation tile: ${file.name}`;
+        } catch (error) {
+            console.error("Error reading elevation file:", error);
+            alert("Error reading elevation file: " + error.message);
+            event.target.value = "";
+        }
+    });
+
+// Weather cache controls in the settings panel
+async function updateWeatherCacheInfo() {
+    const info = document.getElementById("weatherCacheInfo");
+    if (!analyzer.weatherCache) {
+        info.textContent = "Weather cache disabled";
+        return;
+    }
+
+    const entries = await analyzer.weatherCache.size();
+    const persistent = await analyzer.weatherCache.store.isPersistent();
+    info.textContent = `Weather cache: ${entries} location-days${persistent ? "" : " (this session only)"}`;
+}
+
+document
+    .getElementById("analysisSettings")
+    .addEventListener("toggle", function () {
+        if (this.open) updateWeatherCacheInfo();
+    });
+
+document
+    .getElementById("clearWeatherCacheBtn")
+    .addEventListener("click", async function () {
+        if (!analyzer.weatherCache) return;
+        await analyzer.weatherCache.clear();
+        await updateWeatherCacheInfo();
+    });
+
 // Load Example button functionality
 document
     .getElementById("loadExampleBtn")
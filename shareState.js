@@ -0,0 +1,116 @@
+// Compact, URL-safe encodings for share links: routes as Google encoded
+// polylines, other numeric series with the same delta encoding, and the
+// whole payload deflated and base64url-encoded so it fits in a URL fragment.
+
+// One signed integer in the polyline alphabet (5-bit chunks offset by 63).
+// Values must stay within ±2^30, which covers every series encoded here.
+function encodeSigned(value) {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let text = "";
+    while (v >= 0x20) {
+        text += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+        v >>= 5;
+    }
+    return text + String.fromCharCode(v + 63);
+}
+
+function decodeSignedValues(text) {
+    const values = [];
+    let index = 0;
+
+    while (index < text.length) {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = text.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20 && index < text.length);
+        values.push(result & 1 ? ~(result >> 1) : result >> 1);
+    }
+
+    return values;
+}
+
+// Values rounded to 1/factor, stored as differences from the previous value
+export function encodeSeries(values, factor = 1) {
+    let previous = 0;
+    return values.map(value => {
+        const current = Math.round(value * factor);
+        const text = encodeSigned(current - previous);
+        previous = current;
+        return text;
+    }).join("");
+}
+
+export function decodeSeries(text, factor = 1) {
+    let current = 0;
+    return decodeSignedValues(text).map(delta => {
+        current += delta;
+        return current / factor;
+    });
+}
+
+// Standard encoded polyline of [[lat, lon]] pairs (precision 5 ≈ 1 m), so
+// the route can also be pasted into other mapping tools
+export function encodePolyline(coordinates, precision = 5) {
+    const factor = 10 ** precision;
+    let previousLat = 0;
+    let previousLon = 0;
+
+    return coordinates.map(([lat, lon]) => {
+        const latValue = Math.round(lat * factor);
+        const lonValue = Math.round(lon * factor);
+        const text = encodeSigned(latValue - previousLat) + encodeSigned(lonValue - previousLon);
+        previousLat = latValue;
+        previousLon = lonValue;
+        return text;
+    }).join("");
+}
+
+export function decodePolyline(text, precision = 5) {
+    const deltas = decodeSignedValues(text);
+    const factor = 10 ** precision;
+    const coordinates = [];
+    let lat = 0;
+    let lon = 0;
+
+    for (let i = 0; i + 1 < deltas.length; i += 2) {
+        lat += deltas[i];
+        lon += deltas[i + 1];
+        coordinates.push([lat / factor, lon / factor]);
+    }
+
+    return coordinates;
+}
+
+function bytesToBase64Url(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+    const binary = atob(base64 + "=".repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+export async function compressToBase64Url(text) {
+    if (typeof CompressionStream === "undefined") {
+        throw new Error("Share links need CompressionStream support");
+    }
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream("deflate"));
+    return bytesToBase64Url(new Uint8Array(await new Response(stream).arrayBuffer()));
+}
+
+export async function decompressFromBase64Url(encoded) {
+    if (typeof DecompressionStream === "undefined") {
+        throw new Error("Share links need DecompressionStream support");
+    }
+    const stream = new Blob([base64UrlToBytes(encoded)]).stream().pipeThrough(new DecompressionStream("deflate"));
+    return new Response(stream).text();
+}
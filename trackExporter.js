@@ -0,0 +1,176 @@
+// Writers for analyzed points, so results can be taken into notebooks and
+// other mapping tools: CSV with a column per field, GeoJSON with a feature
+// per point and GPX with the analysis values in <extensions>. Times are ISO
+// 8601 UTC; fields missing on a point are left empty.
+
+export const GPX_EXTENSION_NAMESPACE = "https://windgpx.netlify.app/xmlschemas/WindExtension/v1";
+
+// Columns in this order, then any other fields alphabetically
+const FIELD_ORDER = [
+    "time", "lat", "lon", "elevation", "distance_km", "speed_kmh", "bearing", "grade_pct",
+    "stopped", "track_index", "segment_index",
+    "wind_speed", "wind_direction", "wind_faced", "crosswind", "wind_gusts",
+    "wind_speed_ref", "wind_gusts_ref", "roughness_length",
+    "temperature", "humidity", "precipitation", "pressure",
+    "power_w", "power_still_w", "wind_power_w", "neutral_speed_kmh",
+    "heart_rate", "cadence", "measured_power_w", "device_temperature"
+];
+
+// Written by the GPX reader's sensor extensions rather than as wind values
+const GPX_SENSOR_ELEMENTS = {
+    heart_rate: "gpxtpx:hr",
+    cadence: "gpxtpx:cad",
+    device_temperature: "gpxtpx:atemp"
+};
+
+function isExportable(value) {
+    return value instanceof Date || ["number", "string", "boolean"].includes(typeof value);
+}
+
+function formatValue(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === "number") return Number.isFinite(value) ? String(Number(value.toFixed(6))) : "";
+    return value == null ? "" : String(value);
+}
+
+function escapeXML(text) {
+    return String(text).replace(/[&<>"']/g, (c) => ({
+        "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;"
+    })[c]);
+}
+
+// Fields with a value on at least one point, in export order
+export function exportFields(points) {
+    const present = new Set();
+    for (const point of points) {
+        for (const [field, value] of Object.entries(point)) {
+            if (value != null && isExportable(value)) present.add(field);
+        }
+    }
+
+    const known = FIELD_ORDER.filter(field => present.has(field));
+    const others = [...present].filter(field => !FIELD_ORDER.includes(field)).sort();
+    return [...known, ...others];
+}
+
+export function toCSV(points) {
+    const fields = exportFields(points);
+    const escape = (text) => /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+
+    const lines = [fields.join(",")];
+    for (const point of points) {
+        lines.push(fields.map(field => escape(formatValue(point[field]))).join(","));
+    }
+    return lines.join("\n") + "\n";
+}
+
+// One MultiLineString feature of the route. Per-point values go in its
+// properties as arrays parallel to the coordinates: coordTimes (so the file
+// loads back into the analyzer) and coordinateProperties with an array per
+// field, null where a point has no value. pointFeatures adds a Point feature
+// per point as well, which is easier to style but several times larger.
+export function toGeoJSON(points, { name = "", stats = null, pointFeatures = false } = {}) {
+    const fields = exportFields(points).filter(field => !["time", "lat", "lon", "elevation"].includes(field));
+    const position = (point) => point.elevation != null
+        ? [point.lon, point.lat, Number(point.elevation.toFixed(2))]
+        : [point.lon, point.lat];
+    const propertyValue = (value) => {
+        if (value == null || !isExportable(value)) return null;
+        if (value instanceof Date) return value.toISOString();
+        return typeof value === "number" ? Number(value.toFixed(6)) : value;
+    };
+
+    const lines = [];
+    const times = [];
+    const coordinateProperties = Object.fromEntries(fields.map(field => [field, []]));
+    points.forEach((point, i) => {
+        if (i === 0 || point.segment_index !== points[i - 1].segment_index) {
+            lines.push([]);
+            times.push([]);
+            for (const field of fields) coordinateProperties[field].push([]);
+        }
+        lines[lines.length - 1].push(position(point));
+        times[times.length - 1].push(formatValue(point.time));
+        for (const field of fields) {
+            const values = coordinateProperties[field];
+            values[values.length - 1].push(propertyValue(point[field]));
+        }
+    });
+
+    const route = {
+        type: "Feature",
+        geometry: { type: "MultiLineString", coordinates: lines },
+        properties: { name, coordTimes: times, coordinateProperties, ...(stats ? { stats } : {}) }
+    };
+
+    const features = [route];
+    if (pointFeatures) {
+        for (const point of points) {
+            const properties = { time: formatValue(point.time) };
+            for (const field of fields) {
+                const value = propertyValue(point[field]);
+                if (value != null) properties[field] = value;
+            }
+            features.push({ type: "Feature", geometry: { type: "Point", coordinates: position(point) }, properties });
+        }
+    }
+
+    return JSON.stringify({ type: "FeatureCollection", features });
+}
+
+// GPX 1.1 track, a <trkseg> per segment. Sensor data goes into the Garmin
+// TrackPointExtension and power into <power>, where other tools look for
+// them; everything else is written as wind:<field> elements.
+export function toGPX(points, { name = "", creator = "WindGPX" } = {}) {
+    const fields = exportFields(points).filter(field =>
+        !["time", "lat", "lon", "elevation", "track_index", "segment_index"].includes(field));
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="${escapeXML(creator)}" xmlns="http://www.topografix.com/GPX/1/1" ` +
+            'xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1" ' +
+            `xmlns:wind="${GPX_EXTENSION_NAMESPACE}">`,
+        "  <trk>",
+        `    <name>${escapeXML(name)}</name>`
+    ];
+
+    points.forEach((point, i) => {
+        if (i === 0 || point.segment_index !== points[i - 1].segment_index) {
+            if (i > 0) lines.push("    </trkseg>");
+            lines.push("    <trkseg>");
+        }
+
+        lines.push(`      <trkpt lat="${formatValue(point.lat)}" lon="${formatValue(point.lon)}">`);
+        if (point.elevation != null) lines.push(`        <ele>${formatValue(point.elevation)}</ele>`);
+        if (point.time instanceof Date) lines.push(`        <time>${formatValue(point.time)}</time>`);
+
+        const sensors = [];
+        const values = [];
+        for (const field of fields) {
+            const value = point[field];
+            if (value == null || !isExportable(value)) continue;
+
+            if (GPX_SENSOR_ELEMENTS[field]) {
+                sensors.push(`<${GPX_SENSOR_ELEMENTS[field]}>${formatValue(value)}</${GPX_SENSOR_ELEMENTS[field]}>`);
+            } else if (field === "measured_power_w") {
+                values.push(`<power>${formatValue(value)}</power>`);
+            } else {
+                values.push(`<wind:${field}>${escapeXML(formatValue(value))}</wind:${field}>`);
+            }
+        }
+
+        if (sensors.length > 0 || values.length > 0) {
+            lines.push("        <extensions>");
+            if (sensors.length > 0) {
+                lines.push(`          <gpxtpx:TrackPointExtension>${sensors.join("")}</gpxtpx:TrackPointExtension>`);
+            }
+            for (const value of values) lines.push(`          ${value}`);
+            lines.push("        </extensions>");
+        }
+        lines.push("      </trkpt>");
+    });
+
+    if (points.length > 0) lines.push("    </trkseg>");
+    lines.push("  </trk>", "</gpx>");
+    return lines.join("\n") + "\n";
+}
@@ -0,0 +1,102 @@
+// Numerical filters for noisy GPS series, used by the analysis core's
+// filtering stage. Every function takes parallel arrays of positions (times
+// in ms or distances) and values and returns a new array of filtered values.
+
+// Centered moving average over a window in the unit of positions, so
+// irregular sampling is handled the same way as 1 Hz recordings
+export function movingAverage(positions, values, window) {
+    const half = window / 2;
+    const result = new Array(values.length);
+    let start = 0;
+    let end = 0;
+    let sum = 0;
+
+    for (let i = 0; i < values.length; i++) {
+        while (end < values.length && positions[end] - positions[i] <= half) {
+            sum += values[end];
+            end++;
+        }
+        while (positions[i] - positions[start] > half) {
+            sum -= values[start];
+            start++;
+        }
+        result[i] = sum / (end - start);
+    }
+
+    return result;
+}
+
+// Constant-velocity Kalman filter followed by a Rauch-Tung-Striebel
+// backward pass, so the smoothed track does not lag behind corners. Times
+// are in ms.
+// accelerationNoise (m/s²) is how quickly speed may change, measurementNoise
+// (same unit as values) the GPS position error.
+export function kalmanSmooth(times, values, { accelerationNoise = 1, measurementNoise = 5 } = {}) {
+    const n = values.length;
+    if (n < 3) return values.slice();
+
+    const q = accelerationNoise * accelerationNoise;
+    const r = measurementNoise * measurementNoise;
+
+    // Filtered state/covariance and one-step predictions for the backward pass
+    const filtered = new Array(n);
+    const predicted = new Array(n);
+
+    let x = [values[0], 0];
+    let P = [r, 0, 0, 100]; // row-major 2x2
+    filtered[0] = { x, P };
+
+    for (let k = 1; k < n; k++) {
+        const dt = Math.max((times[k] - times[k - 1]) / 1000, 1e-3);
+
+        const xp = [x[0] + dt * x[1], x[1]];
+        const Pp = [
+            P[0] + dt * (P[1] + P[2]) + dt * dt * P[3] + q * dt ** 4 / 4,
+            P[1] + dt * P[3] + q * dt ** 3 / 2,
+            P[2] + dt * P[3] + q * dt ** 3 / 2,
+            P[3] + q * dt * dt
+        ];
+        predicted[k] = { x: xp, P: Pp, dt };
+
+        const s = Pp[0] + r;
+        const k0 = Pp[0] / s;
+        const k1 = Pp[2] / s;
+        const innovation = values[k] - xp[0];
+
+        x = [xp[0] + k0 * innovation, xp[1] + k1 * innovation];
+        P = [
+            (1 - k0) * Pp[0],
+            (1 - k0) * Pp[1],
+            Pp[2] - k1 * Pp[0],
+            Pp[3] - k1 * Pp[1]
+        ];
+        filtered[k] = { x, P };
+    }
+
+    const smoothed = new Array(n);
+    let next = filtered[n - 1].x;
+    smoothed[n - 1] = next[0];
+
+    for (let k = n - 2; k >= 0; k--) {
+        const { x: xf, P: Pf } = filtered[k];
+        const { x: xp, P: Pp, dt } = predicted[k + 1];
+
+        // Gain C = Pf · Fᵀ · Pp⁻¹
+        const a = [Pf[0] + Pf[1] * dt, Pf[1], Pf[2] + Pf[3] * dt, Pf[3]];
+        const det = Pp[0] * Pp[3] - Pp[1] * Pp[2];
+        const inv = [Pp[3] / det, -Pp[1] / det, -Pp[2] / det, Pp[0] / det];
+        const c = [
+            a[0] * inv[0] + a[1] * inv[2],
+            a[0] * inv[1] + a[1] * inv[3],
+            a[2] * inv[0] + a[3] * inv[2],
+            a[2] * inv[1] + a[3] * inv[3]
+        ];
+
+        const d0 = next[0] - xp[0];
+        const d1 = next[1] - xp[1];
+        next = [xf[0] + c[0] * d0 + c[1] * d1, xf[1] + c[2] * d0 + c[3] * d1];
+        smoothed[k] = next[0];
+    }
+
+    return smoothed;
+}
@@ -0,0 +1,388 @@
+import WeatherCache from './WeatherCache.js';
+
+// Weather providers used by WindAnalysisCore.
+//
+// A provider is any object with:
+//   name             - label used in logs
+//   referenceHeight  - height (m) above ground its wind speeds refer to
+//   requestDelay     - ms to wait between consecutive calls (0 for local data)
+//   getWindSeries(lat, lon, startTime, endTime)
+//                    - resolves to [{ time: Date, wind_speed: km/h, wind_direction: deg }]
+//                      sorted by time and covering at least [startTime, endTime].
+//                      Samples may also carry wind_gusts (km/h), temperature (°C),
+//                      humidity (%), precipitation (mm/h) and pressure (hPa).
+//
+// Optionally, for sources that can serve several locations in one call:
+//   maxBatchSize     - most locations per call
+//   getWindSeriesBatch(locations, startTime, endTime)
+//                    - resolves to one series per { lat, lon } location, in order
+//
+// And for sources that only cover a limited time range:
+//   checkRange(startTime, endTime)
+//                    - throws an Error explaining why the range cannot be served;
+//                      called once before any request
+
+const SPEED_UNIT_FACTORS = {
+    "km/h": 1,
+    "kmh": 1,
+    "m/s": 3.6,
+    "ms": 3.6,
+    "knots": 1.852,
+    "kn": 1.852,
+    "mph": 1.609344
+};
+
+// Timestamps without an explicit offset are treated as UTC
+function parseTimestamp(value) {
+    if (value instanceof Date) return new Date(value);
+    if (typeof value === "number") return new Date(value);
+
+    const timeString = String(value).trim();
+    const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(timeString);
+    const time = new Date(hasOffset ? timeString : timeString.replace(" ", "T") + "Z");
+    return isNaN(time.getTime()) ? new Date(timeString) : time;
+}
+
+// Optional weather fields, with the CSV/JSON column names accepted for each
+const WEATHER_FIELD_ALIASES = {
+    wind_gusts: ["wind_gusts", "wind_gusts_10m", "gusts", "gust"],
+    temperature: ["temperature", "temperature_2m", "temp", "air_temperature"],
+    humidity: ["humidity", "relative_humidity", "relative_humidity_2m"],
+    precipitation: ["precipitation", "precip", "rain"],
+    pressure: ["pressure", "surface_pressure"]
+};
+
+function parseOptionalNumber(value) {
+    if (value == null || value === "") return undefined;
+    const number = parseFloat(value);
+    return isNaN(number) ? undefined : number;
+}
+
+function toDateString(time) {
+    return time.toISOString().split("T")[0];
+}
+
+// UTC dates (YYYY-MM-DD) from startTime to endTime inclusive
+function listDates(startTime, endTime) {
+    const dates = [];
+    const day = new Date(toDateString(startTime) + "T00:00:00Z");
+    while (day <= endTime) {
+        dates.push(toDateString(day));
+        day.setUTCDate(day.getUTCDate() + 1);
+    }
+    return dates;
+}
+
+// Hourly data from the Open-Meteo archive API. Responses are cached per
+// location-day (IndexedDB in the browser, memory elsewhere); pass
+// `cache: null` to always hit the network.
+export class OpenMeteoProvider {
+    constructor({ baseUrl = "https://archive-api.open-meteo.com/v1/archive", requestDelay = 200, cache = new WeatherCache() } = {}) {
+        this.name = "Open-Meteo archive";
+        this.baseUrl = baseUrl;
+        this.referenceHeight = 10;
+        this.requestDelay = requestDelay;
+        this.maxBatchSize = 50;
+        this.hourlyVariables = [
+            "wind_speed_10m",
+            "wind_direction_10m",
+            "wind_gusts_10m",
+            "temperature_2m",
+            "relative_humidity_2m",
+            "precipitation",
+            "surface_pressure"
+        ];
+        this.cache = cache;
+    }
+
+    async getWindSeries(lat, lon, startTime, endTime) {
+        const [series] = await this.getWindSeriesBatch([{ lat, lon }], startTime, endTime);
+        return series;
+    }
+
+    // Serve what the cache has and fetch the remaining locations in one request
+    async getWindSeriesBatch(locations, startTime, endTime) {
+        const dates = listDates(startTime, endTime);
+        const results = await Promise.all(locations.map(location => this.readCache(location, dates)));
+        const missing = results.map((series, i) => series ? -1 : i).filter(i => i >= 0);
+
+        console.log(`Weather cache: ${locations.length - missing.length}/${locations.length} locations cached`);
+
+        if (missing.length > 0) {
+            const responses = await this.fetchBatch(missing.map(i => locations[i]), startTime, endTime);
+
+            for (let j = 0; j < missing.length; j++) {
+                const location = locations[missing[j]];
+                try {
+                    results[missing[j]] = this.parseResponse(responses[j]);
+                } catch (error) {
+                    // Only this location goes without wind
+                    console.warn(`No wind data for ${location.lat}, ${location.lon}:`, error.message);
+                    results[missing[j]] = null;
+                    continue;
+                }
+                await this.writeCache(location, responses[j], results[missing[j]]);
+            }
+
+            await this.cache?.prune();
+        }
+
+        return results;
+    }
+
+    async readCache(location, dates) {
+        if (!this.cache) return null;
+
+        const variables = this.hourlyVariables.join(",");
+        const series = [];
+        for (const date of dates) {
+            const day = await this.cache.get(location.lat, location.lon, date, variables);
+            if (!day) return null;
+            series.push(...day);
+        }
+        return series;
+    }
+
+    // Cache complete days only: the archive fills recent days in with a delay
+    async writeCache(location, response, series) {
+        if (!this.cache) return;
+
+        const variables = this.hourlyVariables.join(",");
+        const incomplete = new Set();
+        response.hourly.time.forEach((time, i) => {
+            if (this.hourlyVariables.some(variable => response.hourly[variable]?.[i] == null)) {
+                incomplete.add(time.split("T")[0]);
+            }
+        });
+
+        const byDate = new Map();
+        for (const sample of series) {
+            const date = toDateString(sample.time);
+            if (!byDate.has(date)) byDate.set(date, []);
+            byDate.get(date).push(sample);
+        }
+
+        for (const [date, daySeries] of byDate) {
+            if (!incomplete.has(date) && daySeries.length === 24) {
+                await this.cache.put(location.lat, location.lon, date, variables, daySeries);
+            }
+        }
+    }
+
+    // Open-Meteo accepts comma-separated coordinates and a multi-day range,
+    // answering with one result object per location
+    async fetchBatch(locations, startTime, endTime) {
+        const latitudes = locations.map(l => l.lat.toFixed(4)).join(",");
+        const longitudes = locations.map(l => l.lon.toFixed(4)).join(",");
+        const url = `${this.baseUrl}?latitude=${latitudes}&longitude=${longitudes}&start_date=${toDateString(startTime)}&end_date=${toDateString(endTime)}&hourly=${this.hourlyVariables.join(",")}&wind_speed_unit=ms&timezone=UTC`;
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        const results = Array.isArray(data) ? data : [data];
+        if (results.length !== locations.length) {
+            throw new Error(`Expected ${locations.length} locations in response, got ${results.length}`);
+        }
+
+        return results;
+    }
+
+    parseResponse(data) {
+        if (!data.hourly?.time?.length) {
+            throw new Error("No hourly data available");
+        }
+
+        const hourly = data.hourly;
+        const gusts = (i) => parseOptionalNumber(hourly.wind_gusts_10m?.[i]);
+        const windSpeed = (i) => parseOptionalNumber(hourly.wind_speed_10m?.[i]);
+
+        // Hours without wind (null in the response) are left out rather than
+        // read as calm, so the wind is interpolated across the gap
+        const series = hourly.time
+            .map((time, i) => ({
+                time: parseTimestamp(time),
+                wind_speed: windSpeed(i) !== undefined ? windSpeed(i) * 3.6 : undefined, // Convert to km/h
+                wind_direction: parseOptionalNumber(hourly.wind_direction_10m?.[i]),
+                wind_gusts: gusts(i) !== undefined ? gusts(i) * 3.6 : undefined,
+                temperature: parseOptionalNumber(hourly.temperature_2m?.[i]),
+                humidity: parseOptionalNumber(hourly.relative_humidity_2m?.[i]),
+                precipitation: parseOptionalNumber(hourly.precipitation?.[i]),
+                pressure: parseOptionalNumber(hourly.surface_pressure?.[i])
+            }))
+            .filter(sample => sample.wind_speed !== undefined && sample.wind_direction !== undefined);
+
+        if (series.length === 0) {
+            throw new Error("No wind data available for this period");
+        }
+        if (series.length < hourly.time.length) {
+            console.warn(`Skipped ${hourly.time.length - series.length} hours without wind data`);
+        }
+
+        return series;
+    }
+}
+
+// Hourly forecast from the Open-Meteo forecast API for planned rides. Same
+// request and response format as the archive; not cached by default since
+// forecasts are updated several times a day.
+export class OpenMeteoForecastProvider extends OpenMeteoProvider {
+    constructor({ baseUrl = "https://api.open-meteo.com/v1/forecast", requestDelay = 200, cache = null, forecastDays = 16 } = {}) {
+        super({ baseUrl, requestDelay, cache });
+        this.name = "Open-Meteo forecast";
+        this.forecastDays = forecastDays;
+    }
+
+    checkRange(startTime, endTime) {
+        const horizon = new Date(Date.now() + this.forecastDays * 24 * 60 * 60 * 1000);
+        if (endTime > horizon) {
+            throw new Error(`The forecast only reaches ${this.forecastDays} days ahead (until ${toDateString(horizon)}). Pick an earlier start time.`);
+        }
+    }
+}
+
+// Wind time series from a local file (own anemometer logs, saved API
+// responses, test fixtures). Location is ignored: the series is assumed to
+// apply to the whole ride.
+export class LocalWindProvider {
+    constructor(records, { name = "Local wind data", referenceHeight = 10, speedUnit = "km/h", maxGapHours = 3 } = {}) {
+        const factor = SPEED_UNIT_FACTORS[speedUnit];
+        if (!factor) {
+            throw new Error(`Unsupported wind speed unit: ${speedUnit}`);
+        }
+
+        this.name = name;
+        this.referenceHeight = referenceHeight;
+        this.requestDelay = 0;
+        this.maxGap = maxGapHours * 60 * 60 * 1000;
+        this.records = records
+            .map(record => {
+                const gusts = parseOptionalNumber(record.wind_gusts);
+                return {
+                    time: parseTimestamp(record.time),
+                    wind_speed: parseFloat(record.wind_speed) * factor,
+                    wind_direction: parseFloat(record.wind_direction),
+                    wind_gusts: gusts !== undefined ? gusts * factor : undefined,
+                    temperature: parseOptionalNumber(record.temperature),
+                    humidity: parseOptionalNumber(record.humidity),
+                    precipitation: parseOptionalNumber(record.precipitation),
+                    pressure: parseOptionalNumber(record.pressure)
+                };
+            })
+            .filter(record =>
+                !isNaN(record.time.getTime()) &&
+                !isNaN(record.wind_speed) &&
+                !isNaN(record.wind_direction)
+            )
+            .sort((a, b) => a.time - b.time);
+
+        if (this.records.length === 0) {
+            throw new Error("No valid wind records found. Each record needs time, wind_speed and wind_direction.");
+        }
+
+        console.log(`Loaded ${this.records.length} local wind records (${this.records[0].time.toISOString()} to ${this.records[this.records.length - 1].time.toISOString()})`);
+    }
+
+    // Build a provider from JSON or CSV text. JSON may be an array of records,
+    // { speedUnit, referenceHeight, data: [...] }, or a saved Open-Meteo response.
+    static fromText(text, options = {}) {
+        const trimmed = text.trim();
+
+        if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+            return LocalWindProvider.fromJSON(JSON.parse(trimmed), options);
+        }
+
+        return new LocalWindProvider(LocalWindProvider.parseCSV(trimmed), options);
+    }
+
+    static fromJSON(json, options = {}) {
+        if (Array.isArray(json)) {
+            return new LocalWindProvider(json, options);
+        }
+
+        if (json.hourly?.time) {
+            const hourly = json.hourly;
+            const speedUnit = json.hourly_units?.wind_speed_10m || "km/h";
+            const records = hourly.time.map((time, i) => ({
+                time,
+                wind_speed: hourly.wind_speed_10m[i],
+                wind_direction: hourly.wind_direction_10m[i],
+                wind_gusts: hourly.wind_gusts_10m?.[i],
+                temperature: hourly.temperature_2m?.[i],
+                humidity: hourly.relative_humidity_2m?.[i],
+                precipitation: hourly.precipitation?.[i],
+                pressure: hourly.surface_pressure?.[i]
+            }));
+            return new LocalWindProvider(records, { speedUnit, ...options });
+        }
+
+        if (Array.isArray(json.data)) {
+            const { data, ...fileOptions } = json;
+            return new LocalWindProvider(data, { ...fileOptions, ...options });
+        }
+
+        throw new Error("Unrecognized wind data JSON. Expected an array of records or an object with a data array.");
+    }
+
+    static parseCSV(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+        if (lines.length < 2) {
+            throw new Error("Wind CSV needs a header row and at least one data row");
+        }
+
+        const delimiter = lines[0].includes(";") && !lines[0].includes(",") ? ";" : ",";
+        const header = lines[0].split(delimiter).map(h => h.trim().toLowerCase());
+
+        const findColumn = (aliases) => header.findIndex(h => aliases.includes(h));
+        const timeCol = findColumn(["time", "timestamp", "datetime", "date"]);
+        const speedCol = findColumn(["wind_speed", "speed", "windspeed"]);
+        const directionCol = findColumn(["wind_direction", "direction", "winddirection"]);
+
+        if (timeCol < 0 || speedCol < 0 || directionCol < 0) {
+            throw new Error("Wind CSV header must include time, wind_speed and wind_direction columns");
+        }
+
+        const optionalColumns = Object.entries(WEATHER_FIELD_ALIASES)
+            .map(([field, aliases]) => [field, findColumn(aliases)])
+            .filter(([, column]) => column >= 0);
+
+        return lines.slice(1).map(line => {
+            const cells = line.split(delimiter).map(c => c.trim());
+            const record = {
+                time: cells[timeCol],
+                wind_speed: cells[speedCol],
+                wind_direction: cells[directionCol]
+            };
+            for (const [field, column] of optionalColumns) {
+                record[field] = cells[column];
+            }
+            return record;
+        });
+    }
+
+    async getWindSeries(lat, lon, startTime, endTime) {
+        const series = this.records.filter(record =>
+            record.time >= startTime - this.maxGap &&
+            record.time <= endTime.getTime() + this.maxGap
+        );
+
+        if (series.length === 0) {
+            throw new Error(`Local wind data does not cover ${startTime.toISOString()}`);
+        }
+
+        return series;
+    }
+
+    // The series applies everywhere, so every location gets the same one
+    async getWindSeriesBatch(locations, startTime, endTime) {
+        try {
+            const series = await this.getWindSeries(null, null, startTime, endTime);
+            return locations.map(() => series);
+        } catch (error) {
+            console.warn(error.message);
+            return locations.map(() => null);
+        }
+    }
+}
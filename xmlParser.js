@@ -0,0 +1,190 @@
+// Minimal XML reader used by the analysis core so track files can be parsed
+// without a browser DOMParser (e.g. when batch-processing rides in Node).
+// Only the subset of XML found in GPS exports is supported: elements,
+// attributes, text, CDATA, comments, processing instructions and entities.
+
+const ENTITIES = {
+    amp: "&",
+    lt: "<",
+    gt: ">",
+    quot: '"',
+    apos: "'"
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, entity) => {
+        if (entity[0] === "#") {
+            const code = entity[1] === "x" || entity[1] === "X"
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return isNaN(code) ? match : String.fromCodePoint(code);
+        }
+        return ENTITIES[entity] ?? match;
+    });
+}
+
+function createElement(name, attributes) {
+    const colon = name.indexOf(":");
+    return {
+        name,
+        localName: colon >= 0 ? name.slice(colon + 1) : name,
+        attributes,
+        children: [],
+        text: ""
+    };
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    const attrPattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match;
+
+    while ((match = attrPattern.exec(source)) !== null) {
+        attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+    }
+
+    return attributes;
+}
+
+// Parse XML text into a tree of { name, localName, attributes, children, text }
+// nodes and return the root element. Throws on malformed documents.
+export function parseXML(text) {
+    if (typeof text !== "string" || text.trim().length === 0) {
+        throw new Error("Empty XML document");
+    }
+
+    const document = createElement("#document", {});
+    const stack = [document];
+    let pos = 0;
+
+    while (pos < text.length) {
+        const tagStart = text.indexOf("<", pos);
+
+        if (tagStart === -1) {
+            stack[stack.length - 1].text += decodeEntities(text.slice(pos));
+            break;
+        }
+
+        if (tagStart > pos) {
+            stack[stack.length - 1].text += decodeEntities(text.slice(pos, tagStart));
+        }
+
+        if (text.startsWith("<!--", tagStart)) {
+            const end = text.indexOf("-->", tagStart + 4);
+            if (end === -1) throw new Error("Unterminated XML comment");
+            pos = end + 3;
+            continue;
+        }
+
+        if (text.startsWith("<![CDATA[", tagStart)) {
+            const end = text.indexOf("]]>", tagStart + 9);
+            if (end === -1) throw new Error("Unterminated CDATA section");
+            stack[stack.length - 1].text += text.slice(tagStart + 9, end);
+            pos = end + 3;
+            continue;
+        }
+
+        if (text.startsWith("<?", tagStart)) {
+            const end = text.indexOf("?>", tagStart + 2);
+            if (end === -1) throw new Error("Unterminated processing instruction");
+            pos = end + 2;
+            continue;
+        }
+
+        if (text.startsWith("<!", tagStart)) {
+            const end = text.indexOf(">", tagStart + 2);
+            if (end === -1) throw new Error("Unterminated declaration");
+            pos = end + 1;
+            continue;
+        }
+
+        const tagEnd = findTagEnd(text, tagStart + 1);
+        if (tagEnd === -1) throw new Error("Unterminated XML tag");
+
+        const tagContent = text.slice(tagStart + 1, tagEnd);
+
+        if (tagContent[0] === "/") {
+            const closingName = tagContent.slice(1).trim();
+            const current = stack.pop();
+            if (!current || current === document || current.name !== closingName) {
+                throw new Error(`Mismatched closing tag </${closingName}>`);
+            }
+        } else {
+            const selfClosing = tagContent.endsWith("/");
+            const body = selfClosing ? tagContent.slice(0, -1) : tagContent;
+            const nameMatch = body.match(/^\s*([^\s/>]+)/);
+            if (!nameMatch) throw new Error("Invalid XML tag");
+
+            const element = createElement(nameMatch[1], parseAttributes(body.slice(nameMatch[0].length)));
+            stack[stack.length - 1].children.push(element);
+
+            if (!selfClosing) {
+                stack.push(element);
+            }
+        }
+
+        pos = tagEnd + 1;
+    }
+
+    if (stack.length !== 1) {
+        throw new Error(`Unclosed XML tag <${stack[stack.length - 1].name}>`);
+    }
+
+    const root = document.children[0];
+    if (!root || document.children.length > 1) {
+        throw new Error("XML document must have exactly one root element");
+    }
+
+    return root;
+}
+
+// Find the ">" that closes a tag, skipping over quoted attribute values
+function findTagEnd(text, from) {
+    let quote = null;
+    for (let i = from; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === ">") {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// All descendant elements with the given local name, in document order
+// (matches how querySelectorAll("trkpt") behaves on an XML document)
+export function findAll(node, localName) {
+    const matches = [];
+    const visit = (current) => {
+        for (const child of current.children) {
+            if (child.localName === localName) matches.push(child);
+            visit(child);
+        }
+    };
+    visit(node);
+    return matches;
+}
+
+// First descendant element with the given local name, or null
+export function findFirst(node, localName) {
+    for (const child of node.children) {
+        if (child.localName === localName) return child;
+        const nested = findFirst(child, localName);
+        if (nested) return nested;
+    }
+    return null;
+}
+
+// Direct children with the given local name
+export function findChildren(node, localName) {
+    return node.children.filter(child => child.localName === localName);
+}
+
+// Concatenated text of an element and all of its descendants
+export function textContent(node) {
+    if (!node) return "";
+    return node.text + node.children.map(textContent).join("");
+}